@@ -0,0 +1,160 @@
+/**
+ * check-affiliate-links.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Post-build check of every Amazon product and add-to-cart link in dist/ (runs as `postbuild`):
+ * HTML pages, and the entry content of the Atom / JSON feeds (dist/feeds/, dist/en/feeds/).
+ * A link is reported when:
+ *   - it has no `tag=` / `AssociateTag=` (or not the one set in AFFILIATE_TAG_<MARKET>, if any),
+ *   - its marketplace is not the one of the page locale (/en/ → amazon.com, else amazon.fr),
+ *   - one of its ASINs is not in src/data/products.json, or not sold on that marketplace,
+ *   - it has no `data-placement` (attributes from trackAttrs() in src/lib/tracking.ts),
+ *   - its `rel` is not exactly AFFILIATE_REL from src/lib/affiliate.ts.
+ * Non-product Amazon links (help pages, privacy notice…) are ignored.
+ *
+ * Links are built by src/lib/affiliate.ts — a failure here means a page bypassed it.
+ *
+ * Usage:
+ *   node scripts/check-affiliate-links.mjs          → checks dist/
+ *   node scripts/check-affiliate-links.mjs out/     → checks another build directory
+ */
+
+import { readFileSync, readdirSync, existsSync } from 'fs';
+import { join, dirname, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT      = join(__dirname, '..');
+const DIST_DIR  = join(ROOT, process.argv[2] ?? 'dist');
+const catalog   = JSON.parse(readFileSync(join(ROOT, 'src/data/products.json'), 'utf-8'));
+
+// Marketplace attendue selon le préfixe de la page (même règle que MARKET_BY_LANG)
+const MARKET_BY_PREFIX = { en: 'com' };
+const DEFAULT_MARKET   = 'fr';
+
+// Tags imposés par l'environnement (mêmes variables que src/lib/affiliate.ts)
+const EXPECTED_TAGS = {
+  fr:      process.env.AFFILIATE_TAG_FR || process.env.AFFILIATE_TAG,
+  com:     process.env.AFFILIATE_TAG_COM || process.env.AFFILIATE_TAG_EN,
+  de:      process.env.AFFILIATE_TAG_DE,
+  es:      process.env.AFFILIATE_TAG_ES,
+  it:      process.env.AFFILIATE_TAG_IT,
+  'co.uk': process.env.AFFILIATE_TAG_UK,
+};
+
+// `rel` de tout lien affilié : la constante AFFILIATE_REL de src/lib/affiliate.ts, lue dans le source
+const AFFILIATE_REL = readFileSync(join(ROOT, 'src/lib/affiliate.ts'), 'utf-8')
+  .match(/^export const AFFILIATE_REL = '([^']+)';$/m)?.[1];
+if (!AFFILIATE_REL) {
+  console.error('❌  AFFILIATE_REL introuvable dans src/lib/affiliate.ts.');
+  process.exit(1);
+}
+
+const AMAZON_LINK = /<a\s[^>]*?href="(https?:\/\/(?:www\.)?amazon\.([a-z.]+)\/[^"]*)"[^>]*>/g;
+const PRODUCT_ASIN = /\/(?:dp|gp\/product)\/([A-Z0-9]{10})(?:[/?]|$)/;
+const CART_PATH    = '/gp/aws/cart/add.html';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function checkedFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return checkedFiles(path);
+    return entry.name.endsWith('.html') || isFeed(path) ? [path] : [];
+  });
+}
+
+const isFeed = (file) => /(^|[/\\])feeds[/\\].+\.(xml|json)$/.test(relative(DIST_DIR, file));
+
+const decode = (href) => href.replace(/&amp;/g, '&').replace(/&#38;/g, '&');
+
+/** HTML à vérifier : la page, ou le contenu des entrées d'un flux (échappé en Atom, content_html en JSON) */
+function readHtml(file) {
+  const text = readFileSync(file, 'utf-8');
+  if (!isFeed(file)) return text;
+  if (file.endsWith('.json')) return JSON.parse(text).items.map((item) => item.content_html ?? '').join('\n');
+  return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+}
+
+function expectedMarket(file) {
+  const [prefix] = relative(DIST_DIR, file).split(sep);
+  return MARKET_BY_PREFIX[prefix] ?? DEFAULT_MARKET;
+}
+
+/** ASINs d'un lien Amazon : fiche produit (/dp/…) ou panier (ASIN.1, ASIN.2…), null sinon */
+function linkAsins(url) {
+  const asin = url.pathname.match(PRODUCT_ASIN)?.[1];
+  if (asin) return [asin];
+  if (url.pathname !== CART_PATH) return null;
+  return [...url.searchParams].filter(([key]) => /^ASIN\.\d+$/.test(key)).map(([, value]) => value);
+}
+
+/** Problèmes d'un lien produit ou panier (balise <a> complète), [] si tout est en ordre */
+function checkLink(anchor, href, market, pageMarket) {
+  const problems = [];
+  const url   = new URL(href);
+  const asins = linkAsins(url);
+  const tag   = url.searchParams.get('tag') ?? url.searchParams.get('AssociateTag');
+
+  if (!tag) {
+    problems.push('missing tag');
+  } else if (EXPECTED_TAGS[market] && tag !== EXPECTED_TAGS[market]) {
+    problems.push(`tag "${tag}" instead of "${EXPECTED_TAGS[market]}"`);
+  }
+
+  // Sans emplacement, le clic n'est pas attribué dans les rapports d'audience
+  if (!/\sdata-placement="[^"]+"/.test(anchor)) problems.push('no data-placement (trackAttrs)');
+
+  const rel = anchor.match(/\srel="([^"]*)"/)?.[1];
+  if (rel !== AFFILIATE_REL) problems.push(rel ? `rel "${rel}" instead of "${AFFILIATE_REL}"` : `no rel="${AFFILIATE_REL}"`);
+
+  if (market !== pageMarket) {
+    problems.push(`amazon.${market} on a page for amazon.${pageMarket}`);
+  }
+
+  if (!asins.length) problems.push('empty cart link');
+  for (const asin of asins) {
+    if (!catalog[asin]) {
+      problems.push(`ASIN ${asin} is not in the catalog`);
+    } else if (market === pageMarket && !catalog[asin].markets?.[market]) {
+      problems.push(`ASIN ${asin} has no "${market}" market in the catalog`);
+    }
+  }
+
+  return problems;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+if (!existsSync(DIST_DIR)) {
+  console.error(`❌  ${relative(ROOT, DIST_DIR)}/ introuvable — lancer le build d'abord.`);
+  process.exit(1);
+}
+
+let links = 0;
+const failures = [];
+
+for (const file of checkedFiles(DIST_DIR)) {
+  const html       = readHtml(file);
+  const pageMarket = expectedMarket(file);
+
+  for (const [anchor, rawHref, market] of html.matchAll(AMAZON_LINK)) {
+    const href = decode(rawHref);
+    if (!linkAsins(new URL(href))) continue;
+
+    links++;
+    const problems = checkLink(anchor, href, market, pageMarket);
+    if (problems.length) failures.push({ file: relative(DIST_DIR, file), href, problems });
+  }
+}
+
+console.log(`🔗  Liens affiliés — ${links} liens produit/panier vérifiés dans ${relative(ROOT, DIST_DIR)}/`);
+
+if (failures.length) {
+  for (const { file, href, problems } of failures) {
+    console.log(`  ❌ ${file}\n     ${href}\n     → ${problems.join(', ')}`);
+  }
+  console.log(`\n❌  ${failures.length} lien(s) invalide(s).`);
+  process.exit(1);
+}
+
+console.log('✅  Tous les liens sont tagués, suivis, marqués sponsored, sur la bonne marketplace et pointent vers le catalogue.');
@@ -0,0 +1,141 @@
+/**
+ * check-price-trend.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Offline checks for the price-history signals shown by <PriceTrend />
+ * (priceTrend() in src/lib/price-history.ts): "lowest price in 30/90 days" and
+ * "−X % since last week" (neither once the last reading is over a week old), on
+ * hand-written histories dated relative to a fixed day.
+ * The module is loaded through Vite (Astro's bundler), which resolves its
+ * TypeScript and import.meta.glob like the build does. src/data is only read.
+ *
+ * Usage:
+ *   npm run check:trend              → every scenario
+ *   npm run check:trend -- too-short → a single scenario
+ */
+
+import assert from 'assert/strict';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { createServer } from 'vite';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT      = join(__dirname, '..');
+
+const NOW    = new Date('2026-06-30T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Relevé de la marketplace fr daté de `daysAgo` jours avant NOW */
+const obs = (daysAgo, amount) => ({
+  date: new Date(NOW.getTime() - daysAgo * DAY_MS).toISOString().slice(0, 10),
+  market: 'fr',
+  amount,
+  listPrice: null,
+});
+
+// ── Scenarios ─────────────────────────────────────────────────────────────────
+
+// { name: { history, check(trend) } } — history du plus ancien au plus récent
+const scenarios = {
+  'lowest-90': {
+    history: [obs(120, 99), obs(80, 95), obs(40, 92), obs(10, 90), obs(0, 85)],
+    check(trend) {
+      assert.equal(trend.lowestInDays, 90);
+      assert.equal(trend.points.length, 4, 'only the last 90 days are plotted');
+    },
+  },
+
+  'lowest-30': {
+    history: [obs(45, 99), obs(25, 95), obs(10, 92), obs(0, 89)],
+    check(trend) {
+      assert.equal(trend.lowestInDays, 30, 'history covers 30 days, not 90');
+    },
+  },
+
+  'too-short': {
+    history: [obs(14, 99), obs(7, 95), obs(0, 89)],
+    check(trend) {
+      assert.equal(trend.lowestInDays, null, 'three points over two weeks cannot claim a 30/90-day low');
+      assert.equal(trend.dropPct, 6, 'the weekly drop does not need a long history');
+    },
+  },
+
+  'lower-earlier': {
+    history: [obs(100, 99), obs(60, 80), obs(20, 95), obs(10, 92), obs(0, 90)],
+    check(trend) {
+      assert.equal(trend.lowestInDays, 30, 'a lower price 60 days ago rules out the 90-day badge');
+    },
+  },
+
+  'too-few-points': {
+    history: [obs(89, 99), obs(0, 85)],
+    check(trend) {
+      assert.equal(trend.lowestInDays, null, 'a 30-day span with two points is not enough');
+    },
+  },
+
+  'stale': {
+    history: [obs(100, 99), obs(70, 95), obs(40, 92), obs(16, 80), obs(9, 70)],
+    check(trend) {
+      assert.equal(trend.lowestInDays, null, 'a reading 9 days old says nothing about today\'s price');
+      assert.equal(trend.dropPct, null, 'nor about a drop "since last week"');
+    },
+  },
+
+  'single-point': {
+    history: [obs(0, 85)],
+    check(trend) {
+      assert.equal(trend, null);
+    },
+  },
+};
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const only  = process.argv[2];
+  const names = only ? [only] : Object.keys(scenarios);
+  let failed  = 0;
+
+  console.log('🧪  Price trend — signaux d\'historique (src/lib/price-history.ts)\n');
+
+  const vite = await createServer({
+    root: ROOT,
+    configFile: false,
+    logLevel: 'silent',
+    appType: 'custom',
+    server: { middlewareMode: true, hmr: false },
+  });
+  try {
+    const { priceTrend } = await vite.ssrLoadModule('/src/lib/price-history.ts');
+
+    for (const name of names) {
+      if (!scenarios[name]) {
+        console.error(`❌  Scénario inconnu « ${name} ». Disponibles : ${Object.keys(scenarios).join(', ')}`);
+        process.exit(1);
+      }
+
+      const { history, check } = scenarios[name];
+      try {
+        check(priceTrend(history, NOW));
+        console.log(`  ✅ ${name}`);
+      } catch (err) {
+        failed++;
+        console.log(`  ❌ ${name} — ${err.message}`);
+      }
+    }
+  } finally {
+    await vite.close();
+  }
+
+  console.log('\n─────────────────────────────────────────────');
+  if (failed) {
+    console.log(`❌  ${failed}/${names.length} scénario(s) en échec.`);
+    process.exit(1);
+  }
+  console.log(`✅  ${names.length} scénario(s) OK.`);
+}
+
+main().catch((err) => {
+  console.error('\n💥 Erreur fatale:', err);
+  process.exit(1);
+});
@@ -0,0 +1,282 @@
+/**
+ * check-price-updater.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Offline harness for scripts/update-prices.mjs. For each recorded fixture in
+ * scripts/fixtures/creators-api/, it:
+ *   1. copies src/data (catalog, prices.json, price-history/) to a temp dir,
+ *   2. starts scripts/mock-creators-api.mjs with that fixture,
+ *   3. runs the real updater against both (CREATORS_* / PRICE_DATA_DIR overrides),
+ *   4. asserts on the files it wrote and on the requests the mock received.
+ *
+ * Covers response parsing (offersV2.listings[0].price…), errors[] handling,
+ * 401 / 429 / malformed JSON, token cache expiry, the 10-ASIN batching, and the
+ * --dry-run / --report / --max-missing options.
+ * No network access, and src/data is never touched.
+ *
+ * Usage:
+ *   npm run check:prices                 → every scenario
+ *   npm run check:prices -- rate-limited → a single scenario
+ */
+
+import assert from 'assert/strict';
+import { execFile } from 'child_process';
+import { cpSync, mkdtempSync, readFileSync, readdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { startMockServer } from './mock-creators-api.mjs';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT      = join(__dirname, '..');
+const DATA_DIR  = join(ROOT, 'src/data');
+const UPDATER   = join(__dirname, 'update-prices.mjs');
+
+const catalog   = JSON.parse(readFileSync(join(DATA_DIR, 'products.json'), 'utf-8'));
+const before    = JSON.parse(readFileSync(join(DATA_DIR, 'prices.json'), 'utf-8'));
+const today     = new Date().toISOString().slice(0, 10);
+
+const asinsFor = (market) => Object.keys(catalog).filter((asin) => catalog[asin].markets?.[market]);
+const expectedBatches = Math.ceil(asinsFor('fr').length / 10) + Math.ceil(asinsFor('com').length / 10);
+
+// ── Run helpers ───────────────────────────────────────────────────────────────
+
+function runUpdater(args, env) {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [UPDATER, ...args], { env: { ...process.env, ...env }, timeout: 60_000 }, (err, stdout, stderr) => {
+      resolve({ code: err ? (err.code ?? 1) : 0, output: stdout + stderr });
+    });
+  });
+}
+
+async function runScenario(fixture, args) {
+  const dir = mkdtempSync(join(tmpdir(), 'prices-'));
+  cpSync(DATA_DIR, dir, { recursive: true });
+  const mock = await startMockServer({ fixture });
+
+  // Reports go to a file so the assertions don't have to pick them out of the logs
+  const reportPath = join(dir, 'report.out');
+  const withReport = args.some((a) => a.startsWith('--report=')) ? [...args, `--report-out=${reportPath}`] : args;
+
+  try {
+    const { code, output } = await runUpdater(withReport, {
+      AMAZON_CLIENT_ID:        'mock-client',
+      AMAZON_CLIENT_SECRET:    'mock-secret',
+      CREATORS_TOKEN_URL:      mock.tokenUrl,
+      CREATORS_API_URL:        mock.apiUrl,
+      CREATORS_BATCH_DELAY_MS: '0',
+      PRICE_DATA_DIR:          dir,
+    });
+    const pricesRaw  = readFileSync(join(dir, 'prices.json'), 'utf-8');
+    const historyDir = join(dir, 'price-history');
+    const histories  = Object.fromEntries(readdirSync(historyDir).map((f) => [
+      f.replace(/\.json$/, ''),
+      JSON.parse(readFileSync(join(historyDir, f), 'utf-8')),
+    ]));
+    return {
+      code,
+      output,
+      requests:  mock.requests,
+      pricesRaw,
+      prices:    JSON.parse(pricesRaw),
+      history:   (asin) => histories[asin],
+      report:    withReport === args ? null : readFileSync(reportPath, 'utf-8'),
+    };
+  } finally {
+    await mock.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+// ── Shared assertions ─────────────────────────────────────────────────────────
+
+/** The store was not rewritten at all */
+function assertUntouched(run) {
+  assert.equal(run.pricesRaw, readFileSync(join(DATA_DIR, 'prices.json'), 'utf-8'), 'prices.json should be unchanged');
+}
+
+/** Every tracked ASIN was requested exactly once per market, never more than 10 at a time */
+function assertBatching(run) {
+  for (const call of run.requests.getItems) {
+    assert.ok(call.itemIds.length <= 10, `batch of ${call.itemIds.length} ASINs sent`);
+  }
+  for (const [market, marketplace] of [['fr', 'www.amazon.fr'], ['com', 'www.amazon.com']]) {
+    const requested = run.requests.getItems.filter((c) => c.marketplace === marketplace).flatMap((c) => c.itemIds);
+    assert.deepEqual([...requested].sort(), asinsFor(market).sort(), `${market}: requested ASINs differ from the catalog`);
+  }
+  assert.equal(run.requests.getItems.length, expectedBatches);
+}
+
+// ── Scenarios ─────────────────────────────────────────────────────────────────
+
+// { name: { fixture = name, args = [], check(run) } }
+const scenarios = {
+  success: {
+    check(run) {
+      assert.equal(run.code, 0);
+      assertBatching(run);
+      assert.equal(run.requests.token, 2, 'one token per market, reused across batches');
+
+      const fr = run.prices.markets.fr;
+      assert.deepEqual(
+        { ...fr.B09TD87W1J, lastUpdated: undefined },
+        {
+          amount: 430, currency: 'EUR', priceFormatted: '430€',
+          originalPrice: 509, originalPriceFormatted: '509€', savings: 79, savingsFormatted: '79€',
+          isPrime: true, availability: 'in_stock', lastUpdated: undefined, isMock: false,
+        },
+      );
+      assert.equal(fr.B0BHTQRLXS.amount, before.markets.fr.B0BHTQRLXS.amount, 'sub-threshold change must be ignored');
+      assert.notEqual(fr.B0BHTQRLXS.lastUpdated, before.markets.fr.B0BHTQRLXS.lastUpdated, 'lastUpdated still refreshed');
+      assert.equal(fr.B087JF3B5S.availability, 'out_of_stock');
+      assert.equal(fr.B0DTQ9SKYF.originalPriceFormatted, '349€');
+      assert.equal(run.prices.markets.com.B09TD87W1J.priceFormatted, '$430');
+      assert.deepEqual(fr.B004ELA7TA, before.markets.fr.B004ELA7TA, 'ASIN absent from the response must be untouched');
+
+      const observations = run.history('B09TD87W1J').observations.filter((o) => o.date === today);
+      assert.deepEqual(
+        observations.map((o) => o.market).sort(),
+        ['com', 'fr'],
+        'one history point per market for today',
+      );
+      assert.deepEqual(observations.find((o) => o.market === 'fr'), { date: today, market: 'fr', amount: 429.99, listPrice: 509 });
+    },
+  },
+
+  'partial-errors': {
+    check(run) {
+      assert.equal(run.code, 0);
+      const fr = run.prices.markets.fr;
+      assert.equal(fr.B09TD87W1J.amount, 449);
+      assert.deepEqual(
+        { ...fr.B0BHTQRLXS, availability: undefined },
+        { ...before.markets.fr.B0BHTQRLXS, availability: undefined },
+        'last known price is kept when the offer disappears',
+      );
+      assert.equal(fr.B0BHTQRLXS.availability, 'unavailable', 'item without listings');
+      assert.equal(fr.B087JF3B5S.availability, 'unavailable', 'ItemNotAccessible');
+      assert.equal(fr.B0DTQ9SKYF.availability, 'removed', 'InvalidParameterValue');
+      assert.equal(fr.B0DTQ9SKYF.amount, before.markets.fr.B0DTQ9SKYF.amount);
+      assert.match(run.output, /ItemNotAccessible/);
+      assert.match(run.output, /InvalidParameterValue/);
+    },
+  },
+
+  unauthorized: {
+    check(run) {
+      assert.equal(run.code, 0);
+      assertUntouched(run);
+      assert.equal(run.requests.getItems.length, 0, 'no catalog call without a token');
+      assert.match(run.output, /Auth failed \(fr\): HTTP 401/);
+    },
+  },
+
+  'rate-limited': {
+    check(run) {
+      assert.equal(run.code, 0);
+      assertUntouched(run);
+      assert.equal(run.requests.getItems.length, expectedBatches, 'remaining batches are still attempted');
+      assert.match(run.output, /Creators API 429/);
+    },
+  },
+
+  'malformed-json': {
+    check(run) {
+      assert.equal(run.code, 0);
+      assertUntouched(run);
+      assert.match(run.output, /❌/);
+    },
+  },
+
+  'short-lived-token': {
+    check(run) {
+      assert.equal(run.code, 0);
+      assertBatching(run);
+      assert.equal(run.requests.token, run.requests.getItems.length, 'token inside the 60 s margin is refreshed before every batch');
+      assert.equal(run.prices.markets.fr.B09TD87W1J.amount, 430);
+    },
+  },
+
+  'dry-run': {
+    fixture: 'success',
+    args: ['--dry-run'],
+    check(run) {
+      assert.equal(run.code, 0);
+      assertUntouched(run);
+      assert.match(run.output, /^--- a\/src\/data\/prices\.json$/m);
+      assert.match(run.output, /^-        "amount": 464,$/m);
+      assert.match(run.output, /^\+        "amount": 430,$/m);
+      assert.match(run.output, /^\+\+\+ b\/src\/data\/price-history\/B09TD87W1J\.json$/m);
+    },
+  },
+
+  'report-json': {
+    fixture: 'partial-errors',
+    args: ['--report=json'],
+    check(run) {
+      const json = JSON.parse(run.report);
+      const row  = (asin) => json.items.find((r) => r.market === 'fr' && r.asin === asin);
+      assert.deepEqual(
+        { ...row('B09TD87W1J'), name: undefined },
+        {
+          market: 'fr', asin: 'B09TD87W1J', name: undefined, status: 'updated',
+          old: 464, new: 449, changePct: -3.2, reason: null, errorCode: null, availability: 'in_stock',
+        },
+      );
+      assert.equal(row('B0BHTQRLXS').reason, 'no-offer');
+      assert.deepEqual(
+        [row('B087JF3B5S').reason, row('B087JF3B5S').errorCode, row('B087JF3B5S').availability],
+        ['api-error', 'ItemNotAccessible', 'unavailable'],
+      );
+      assert.equal(json.summary.missing, json.items.length - 2, 'B09TD87W1J fr + com are the only prices');
+    },
+  },
+
+  'max-missing': {
+    fixture: 'rate-limited',
+    args: ['--report=markdown', `--max-missing=${asinsFor('fr').length}`],
+    check(run) {
+      assert.equal(run.code, 2, 'more ASINs without a price than allowed → exit 2');
+      assert.match(run.report, /\| fr \| B09TD87W1J \| .* \| 464€ \| — \| — \| skipped \| unknown \| request-failed `HTTP_429` \|/);
+    },
+  },
+};
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+async function main() {
+  const only  = process.argv[2];
+  const names = only ? [only] : Object.keys(scenarios);
+  let failed  = 0;
+
+  console.log('🧪  Price updater — harness hors ligne (mock Creators API)\n');
+
+  for (const name of names) {
+    if (!scenarios[name]) {
+      console.error(`❌  Scénario inconnu « ${name} ». Disponibles : ${Object.keys(scenarios).join(', ')}`);
+      process.exit(1);
+    }
+
+    const { fixture = name, args = [], check } = scenarios[name];
+    const run = await runScenario(fixture, args);
+    try {
+      check(run);
+      console.log(`  ✅ ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`  ❌ ${name} — ${err.message}`);
+      console.log(run.output.split('\n').map((l) => `      │ ${l}`).join('\n'));
+    }
+  }
+
+  console.log('\n─────────────────────────────────────────────');
+  if (failed) {
+    console.log(`❌  ${failed}/${names.length} scénario(s) en échec.`);
+    process.exit(1);
+  }
+  console.log(`✅  ${names.length} scénario(s) OK.`);
+}
+
+main().catch((err) => {
+  console.error('\n💥 Erreur fatale:', err);
+  process.exit(1);
+});
@@ -0,0 +1,261 @@
+/**
+ * check-site.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Post-build integrity check of dist/, offline (runs as `postbuild`, after
+ * check-affiliate-links.mjs). Every HTML page is parsed and checked for:
+ *
+ * Errors (exit 1):
+ *   - internal links (<a>, <link>, <script>) to a file that is not in dist/,
+ *   - #anchors that match no id on the target page (TOC → ProductCard ids…),
+ *   - images (<img>, <source srcset>, og:image / twitter:image) missing from dist/,
+ *   - hreflang alternates that 404, or whose page does not link back (non-reciprocal),
+ *   - placeholders left in the markup (YOUR_PINTEREST_VERIFY_CODE…).
+ * Warnings (exit 1 with --strict only):
+ *   - titles / meta descriptions shared by several indexable pages of a locale,
+ *   - titles over 60 characters, meta descriptions over 160.
+ *
+ * URLs are resolved like in production: each locale origin (src/data/locales.json)
+ * maps to dist/ through the host rewrites of vercel.json (homeofficesetup.net/x → dist/en/x).
+ *
+ * Usage:
+ *   node scripts/check-site.mjs               → checks dist/
+ *   node scripts/check-site.mjs out/          → checks another build directory
+ *   node scripts/check-site.mjs --strict      → warnings fail too
+ */
+
+import { readFileSync, readdirSync, existsSync, statSync } from 'fs';
+import { join, dirname, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT      = join(__dirname, '..');
+
+const { values: options, positionals } = parseArgs({
+  options: { strict: { type: 'boolean', default: false } },
+  allowPositionals: true,
+});
+
+const DIST_DIR = join(ROOT, positionals[0] ?? 'dist');
+const LOCALES  = JSON.parse(readFileSync(join(ROOT, 'src/data/locales.json'), 'utf-8'));
+const VERCEL   = JSON.parse(readFileSync(join(ROOT, 'vercel.json'), 'utf-8'));
+
+const MAX_TITLE       = 60;
+const MAX_DESCRIPTION = 160;
+const PLACEHOLDER     = /\bYOUR_[A-Z0-9_]+\b/g;
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+function htmlFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return htmlFiles(path);
+    return entry.name.endsWith('.html') ? [path] : [];
+  });
+}
+
+const decode = (value) => value
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+/** Balises `name` du HTML, avec leurs attributs décodés */
+function tags(html, names) {
+  const pattern = new RegExp(`<(${names.join('|')})\\s([^>]*)>`, 'gi');
+  return [...html.matchAll(pattern)].map(([, name, raw]) => {
+    const attrs = {};
+    for (const [, key, value = ''] of raw.matchAll(/([\w:-]+)(?:="([^"]*)")?/g)) attrs[key.toLowerCase()] = decode(value);
+    return { name: name.toLowerCase(), attrs };
+  });
+}
+
+/** Locale d'une URL absolue d'après son origine, undefined si externe */
+const langOfOrigin = (origin) => Object.keys(LOCALES).find((lang) => LOCALES[lang].origin === origin);
+
+/** Chemin servi par Vercel pour `pathname` sur l'hôte de `lang` (rewrites de vercel.json) */
+function rewrite(pathname, lang) {
+  const host = new URL(LOCALES[lang].origin).hostname;
+  for (const rule of VERCEL.rewrites ?? []) {
+    if (rule.has?.some((cond) => cond.type === 'host' && cond.value !== host)) continue;
+    const match = pathname.match(new RegExp(`^${rule.source}$`));
+    if (match) return rule.destination.replace(/\$(\d+)/g, (_, i) => match[Number(i)] ?? '');
+  }
+  return pathname;
+}
+
+/** Fichier de dist/ servi pour une URL interne, null s'il n'existe pas */
+function distFile(url, lang) {
+  const path = join(DIST_DIR, rewrite(decodeURIComponent(url.pathname), lang));
+  const candidates = [path, `${path}.html`, join(path, 'index.html')];
+  return candidates.find((file) => existsSync(file) && statSync(file).isFile()) ?? null;
+}
+
+/** URL publique d'une page de dist/ (dist/en/guides/index.html → https://homeofficesetup.net/guides) */
+function pageUrl(file) {
+  const parts = relative(DIST_DIR, file).split(sep);
+  const lang  = Object.keys(LOCALES).find((l) => LOCALES[l].prefix === `/${parts[0]}`) ?? 'fr';
+  if (LOCALES[lang].prefix) parts.shift();
+  if (parts.at(-1) === 'index.html') parts.pop();
+  else parts[parts.length - 1] = parts.at(-1).replace(/\.html$/, '');
+  return { lang, url: `${LOCALES[lang].origin}/${parts.join('/')}` };
+}
+
+/** Forme canonique d'une URL pour les comparaisons (sans slash final ni fragment) */
+const normalize = (href) => {
+  const url = new URL(href);
+  return `${url.origin}${url.pathname.replace(/(.)\/$/, '$1')}`;
+};
+
+// ── Lecture des pages ─────────────────────────────────────────────────────────
+
+function readPage(file) {
+  const html = readFileSync(file, 'utf-8');
+  const { lang, url } = pageUrl(file);
+  const all  = tags(html, ['a', 'link', 'script', 'img', 'source', 'meta']);
+  const meta = (key) => all.find((tag) => tag.name === 'meta' && (tag.attrs.name === key || tag.attrs.property === key))?.attrs.content;
+
+  return {
+    file: relative(DIST_DIR, file),
+    lang,
+    url,
+    html,
+    tags: all,
+    ids: new Set([...html.matchAll(/\s(?:id|name)="([^"]+)"/g)].map(([, id]) => decode(id))),
+    title: decode(html.match(/<title>([^<]*)<\/title>/)?.[1] ?? '').trim(),
+    description: meta('description') ?? '',
+    noindex: /noindex/.test(meta('robots') ?? ''),
+    alternates: all
+      .filter((tag) => tag.name === 'link' && tag.attrs.rel === 'alternate' && tag.attrs.hreflang)
+      .map((tag) => ({ hreflang: tag.attrs.hreflang, href: tag.attrs.href })),
+  };
+}
+
+/** URLs référencées par une page : [type, url brute] */
+function references(page) {
+  const refs = [];
+  for (const { name, attrs } of page.tags) {
+    if (name === 'a' && attrs.href) refs.push(['link', attrs.href]);
+    if (name === 'link' && attrs.href && attrs.rel !== 'alternate') refs.push(['link', attrs.href]);
+    if (name === 'script' && attrs.src) refs.push(['link', attrs.src]);
+    if (name === 'img' && attrs.src) refs.push(['image', attrs.src]);
+    for (const srcset of [attrs.srcset].filter(Boolean)) {
+      for (const candidate of srcset.split(',')) refs.push(['image', candidate.trim().split(/\s+/)[0]]);
+    }
+    if (name === 'meta' && /^(og:image|twitter:image)$/.test(attrs.property ?? attrs.name ?? '')) {
+      refs.push(['image', attrs.content]);
+    }
+  }
+  return refs.filter(([, href]) => href && !/^(data|mailto|tel|javascript):/.test(href));
+}
+
+// ── Vérifications ─────────────────────────────────────────────────────────────
+
+const errors   = [];
+const warnings = [];
+
+function checkReferences(page, pages) {
+  for (const [type, href] of references(page)) {
+    const url  = new URL(href, page.url);
+    const lang = langOfOrigin(url.origin);
+    if (!lang) continue;
+
+    const file = distFile(url, lang);
+    if (!file) {
+      errors.push({ file: page.file, message: `${type === 'image' ? 'image manquante' : 'lien cassé'} ${href}` });
+      continue;
+    }
+
+    const fragment = url.hash.slice(1);
+    if (type !== 'link' || !fragment || fragment === 'top') continue;
+    const target = pages.get(relative(DIST_DIR, file));
+    if (target && !target.ids.has(decodeURIComponent(fragment))) {
+      errors.push({ file: page.file, message: `ancre #${fragment} absente de ${target.url}` });
+    }
+  }
+}
+
+function checkHreflang(page, pagesByUrl) {
+  const own = LOCALES[page.lang].hreflang;
+  const self = page.alternates.find((alt) => alt.hreflang === own);
+  if (page.alternates.length && (!self || normalize(self.href) !== normalize(page.url))) {
+    errors.push({ file: page.file, message: `hreflang="${own}" ne pointe pas vers la page elle-même (${self?.href ?? 'absent'})` });
+  }
+
+  for (const alt of page.alternates) {
+    if (alt.hreflang === own) continue;
+    const target = pagesByUrl.get(normalize(alt.href));
+    if (!target) {
+      errors.push({ file: page.file, message: `hreflang="${alt.hreflang}" → ${alt.href} introuvable` });
+      continue;
+    }
+    if (alt.hreflang === 'x-default') continue;
+    const back = target.alternates.find((a) => a.hreflang === own);
+    if (!back || normalize(back.href) !== normalize(page.url)) {
+      errors.push({ file: page.file, message: `hreflang="${alt.hreflang}" non réciproque : ${target.file} renvoie vers ${back?.href ?? 'aucune page'} en "${own}"` });
+    }
+  }
+}
+
+function checkPlaceholders(page) {
+  for (const placeholder of new Set([...page.html.matchAll(PLACEHOLDER)].map(([match]) => match))) {
+    errors.push({ file: page.file, message: `placeholder ${placeholder} dans le HTML` });
+  }
+}
+
+function checkMeta(pages) {
+  for (const page of pages) {
+    if (page.title.length > MAX_TITLE) {
+      warnings.push({ file: page.file, message: `title de ${page.title.length} caractères (> ${MAX_TITLE}) : « ${page.title} »` });
+    }
+    if (page.description.length > MAX_DESCRIPTION) {
+      warnings.push({ file: page.file, message: `description de ${page.description.length} caractères (> ${MAX_DESCRIPTION})` });
+    }
+  }
+
+  // Doublons entre pages indexables d'une même locale (un domaine par locale)
+  for (const field of ['title', 'description']) {
+    const groups = new Map();
+    for (const page of pages.filter((p) => !p.noindex && p[field])) {
+      const key = `${page.lang}\n${page[field]}`;
+      groups.set(key, [...(groups.get(key) ?? []), page.file]);
+    }
+    for (const [key, files] of groups) {
+      if (files.length < 2) continue;
+      warnings.push({ file: files[0], message: `${field} identique sur ${files.join(', ')} : « ${key.split('\n')[1]} »` });
+    }
+  }
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+if (!existsSync(DIST_DIR)) {
+  console.error(`❌  ${relative(ROOT, DIST_DIR)}/ introuvable — lancer le build d'abord.`);
+  process.exit(1);
+}
+
+const pages      = new Map(htmlFiles(DIST_DIR).map((file) => [relative(DIST_DIR, file), readPage(file)]));
+const pagesByUrl = new Map([...pages.values()].map((page) => [normalize(page.url), page]));
+
+for (const page of pages.values()) {
+  checkReferences(page, pages);
+  checkHreflang(page, pagesByUrl);
+  checkPlaceholders(page);
+}
+checkMeta([...pages.values()]);
+
+console.log(`🧭  Intégrité du site — ${pages.size} pages vérifiées dans ${relative(ROOT, DIST_DIR)}/`);
+
+const report = (icon, list) => {
+  for (const { file, message } of list) console.log(`  ${icon} ${file}\n     → ${message}`);
+};
+report('⚠️ ', warnings);
+report('❌', errors);
+
+const failed = errors.length || (options.strict && warnings.length);
+if (warnings.length) console.log(`\n⚠️   ${warnings.length} avertissement(s)${options.strict ? ' (--strict)' : ''}.`);
+if (failed) {
+  console.log(`❌  ${errors.length} erreur(s).`);
+  process.exit(1);
+}
+
+console.log('✅  Liens, ancres, images et hreflang en ordre.');
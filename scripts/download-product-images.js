@@ -1,37 +1,56 @@
 #!/usr/bin/env node
 /**
  * download-product-images.js
- * Télécharge les images produits Amazon et les héberge en local
- * Usage: node scripts/download-product-images.js
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Télécharge les images produits Amazon, les héberge en local et génère les
+ * variantes responsives lues par <ProductImage /> :
+ *   public/products/<ASIN>.jpg             → original (fallback <img>)
+ *   public/products/<ASIN>-<w>.avif|webp   → tailles IMAGE_WIDTHS, jamais agrandies
+ *   src/data/product-images.json           → dimensions, couleur dominante,
+ *                                            placeholder flou et srcset par format
+ *
+ * Les ASINs viennent du catalogue (src/data/products.json).
+ *
+ * Usage:
+ *   node scripts/download-product-images.js            → télécharge les manquantes + variantes
+ *   node scripts/download-product-images.js --offline  → variantes des .jpg déjà présents
+ *   node scripts/download-product-images.js --force    → régénère toutes les variantes
  */
 
-const https = require('https');
-const http  = require('http');
-const fs    = require('fs');
-const path  = require('path');
-
-const OUTPUT_DIR = path.join(__dirname, '../public/products');
-
-// Tous les ASINs du site avec leurs pages
-const ASINS = [
-  'B004ELA7TA',
-  'B07L755X9G',
-  'B087JF3B5S',
-  'B087M4278G',
-  'B096K7YHPW',
-  'B09TD87W1J',
-  'B0BGZB6VZM',
-  'B0BHTQRLXS',
-  'B0CFR34FDB',
-  'B0D9GWQF84',
-  'B0DK51HDGB',
-  'B0DTQ9SKYF',
-  'B0F32CK158',
-  'B0F371HFBT',
-  'B0FHHV6YR5',
-  'B0FR981Z25',
-  'B0GFMQMJ47',
-];
+import https from 'https';
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import sharp from 'sharp';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const OUTPUT_DIR   = path.join(__dirname, '../public/products');
+const CATALOG_PATH = path.join(__dirname, '../src/data/products.json');
+const MAPPING_PATH = path.join(__dirname, '../src/data/product-images.json');
+
+const { values: options } = parseArgs({
+  options: {
+    offline: { type: 'boolean', default: false },
+    force:   { type: 'boolean', default: false },
+  },
+});
+
+// Tous les ASINs du site — catalogue produits unique (src/data/products.json)
+const ASINS = Object.keys(JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf-8')));
+
+// Largeurs générées (cartes produit : ~240 px en mobile, ~480 px en 2x)
+const IMAGE_WIDTHS = [240, 480];
+const FORMATS      = ['avif', 'webp'];
+const QUALITY      = { avif: 50, webp: 75 };
+
+// Placeholder flou inline (data URI) : quelques centaines d'octets par image
+const PLACEHOLDER_WIDTH = 16;
+
+// En dessous, le fichier est une image vide / un pixel de tracking Amazon
+const MIN_IMAGE_BYTES = 5000;
 
 // Formats à essayer dans l'ordre (du plus grand au plus petit)
 const IMAGE_FORMATS = [
@@ -40,6 +59,8 @@ const IMAGE_FORMATS = [
   (asin) => `https://m.media-amazon.com/images/P/${asin}.01._AC_SL500_.jpg`,
 ];
 
+// ── Téléchargement ────────────────────────────────────────────────────────────
+
 function downloadFile(url, dest) {
   return new Promise((resolve, reject) => {
     const proto = url.startsWith('https') ? https : http;
@@ -97,16 +118,23 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+function hasOriginal(asin) {
+  const dest = path.join(OUTPUT_DIR, `${asin}.jpg`);
+  return fs.existsSync(dest) && fs.statSync(dest).size > MIN_IMAGE_BYTES;
+}
+
 async function downloadAsin(asin) {
   const dest = path.join(OUTPUT_DIR, `${asin}.jpg`);
 
   // Déjà téléchargé ?
-  if (fs.existsSync(dest)) {
-    const stat = fs.statSync(dest);
-    if (stat.size > 5000) {
-      console.log(`  ⏭️  ${asin} — déjà présent (${Math.round(stat.size / 1024)}KB)`);
-      return { asin, status: 'cached', size: stat.size };
-    }
+  if (hasOriginal(asin)) {
+    console.log(`  ⏭️  ${asin} — déjà présent (${Math.round(fs.statSync(dest).size / 1024)}KB)`);
+    return { asin, status: 'cached' };
+  }
+
+  if (options.offline) {
+    console.log(`  ⚪ ${asin} — absent (hors ligne, ignoré)`);
+    return { asin, status: 'failed' };
   }
 
   for (const formatFn of IMAGE_FORMATS) {
@@ -114,6 +142,7 @@ async function downloadAsin(asin) {
     try {
       const size = await downloadFile(url, dest);
       console.log(`  ✅ ${asin} — ${Math.round(size / 1024)}KB`);
+      await sleep(500); // Respecter le rate limiting Amazon
       return { asin, status: 'downloaded', size, url };
     } catch (err) {
       // Essayer le format suivant
@@ -124,8 +153,54 @@ async function downloadAsin(asin) {
   return { asin, status: 'failed' };
 }
 
+// ── Variantes ─────────────────────────────────────────────────────────────────
+
+const toHex = ({ r, g, b }) => '#' + [r, g, b].map((c) => c.toString(16).padStart(2, '0')).join('');
+
+/** Génère les variantes AVIF/WebP d'un original et renvoie son entrée de mapping */
+async function processImage(asin) {
+  const original = path.join(OUTPUT_DIR, `${asin}.jpg`);
+  const image    = sharp(original);
+  const { width, height } = await image.metadata();
+
+  // Jamais d'agrandissement : une image de 476 px donne 240 + 476 au lieu de 240 + 480
+  const widths = [...new Set(IMAGE_WIDTHS.map((w) => Math.min(w, width)))];
+
+  const sources = {};
+  for (const format of FORMATS) {
+    sources[format] = [];
+    for (const w of widths) {
+      const file = `${asin}-${w}.${format}`;
+      const dest = path.join(OUTPUT_DIR, file);
+      if (options.force || !fs.existsSync(dest)) {
+        await image.clone().resize({ width: w })[format]({ quality: QUALITY[format] }).toFile(dest);
+      }
+      sources[format].push({ src: `/products/${file}`, width: w });
+    }
+  }
+
+  const { dominant } = await image.stats();
+  const placeholder = await image.clone()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    src: `/products/${asin}.jpg`,
+    width,
+    height,
+    color: toHex(dominant),
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    sources,
+  };
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
 async function main() {
-  console.log('📦 Téléchargement des images produits Amazon...\n');
+  console.log(options.offline
+    ? '📦 Images produits — mode hors ligne (variantes des images locales)\n'
+    : '📦 Téléchargement des images produits Amazon...\n');
 
   if (!fs.existsSync(OUTPUT_DIR)) {
     fs.mkdirSync(OUTPUT_DIR, { recursive: true });
@@ -133,41 +208,40 @@ async function main() {
   }
 
   const results = [];
-
   for (const asin of ASINS) {
-    const result = await downloadAsin(asin);
-    results.push(result);
-    await sleep(500); // Respecter le rate limiting Amazon
+    results.push(await downloadAsin(asin));
   }
 
   // Résumé
   const ok      = results.filter(r => r.status !== 'failed');
   const failed  = results.filter(r => r.status === 'failed');
 
-  console.log(`\n📊 Résultat: ${ok.length}/${ASINS.length} images téléchargées`);
+  console.log(`\n📊 Résultat: ${ok.length}/${ASINS.length} images disponibles`);
 
   if (failed.length > 0) {
-    console.log(`❌ Échecs: ${failed.map(r => r.asin).join(', ')}`);
+    console.log(`❌ Sans image (emoji affiché): ${failed.map(r => r.asin).join(', ')}`);
   }
 
-  // Générer le mapping ASIN → URL locale
+  // Variantes + mapping ASIN → image locale
+  console.log(`\n🖼️  Variantes ${FORMATS.join('/')} (${IMAGE_WIDTHS.join(', ')} px)${options.force ? ' — régénération forcée' : ''}`);
   const mapping = {};
-  for (const asin of ASINS) {
-    const dest = path.join(OUTPUT_DIR, `${asin}.jpg`);
-    if (fs.existsSync(dest) && fs.statSync(dest).size > 5000) {
-      mapping[asin] = `/products/${asin}.jpg`;
+  for (const asin of ASINS.filter(hasOriginal).sort()) {
+    try {
+      mapping[asin] = await processImage(asin);
+      console.log(`  ✅ ${asin} — ${mapping[asin].width}×${mapping[asin].height} ${mapping[asin].color}`);
+    } catch (err) {
+      console.log(`  ❌ ${asin} — ${err.message}`);
     }
   }
 
-  const mappingPath = path.join(__dirname, '../src/data/product-images.json');
-  if (!fs.existsSync(path.dirname(mappingPath))) {
-    fs.mkdirSync(path.dirname(mappingPath), { recursive: true });
-  }
-  fs.writeFileSync(mappingPath, JSON.stringify(mapping, null, 2));
+  fs.writeFileSync(MAPPING_PATH, JSON.stringify(mapping, null, 2) + '\n');
   console.log(`\n💾 Mapping sauvegardé: src/data/product-images.json`);
   console.log(`   ${Object.keys(mapping).length} images locales disponibles`);
 
-  console.log('\n✅ Terminé ! Prochaine étape : git add public/products/ && git push');
+  console.log('\n✅ Terminé ! Prochaine étape : git add public/products/ src/data/product-images.json && git push');
 }
 
-main().catch(console.error);
+main().catch((err) => {
+  console.error('\n💥 Erreur fatale:', err);
+  process.exit(1);
+});
@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/**
+ * generate-pins.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Renders the weekly Pinterest pins (1000×1500 JPEG) from page and product data
+ * and writes their publishing schedule:
+ *   public/pins/<lang>/<page>.jpg   → SVG template (scripts/pin-templates/) rasterized with sharp
+ *   src/data/pins.json              → manifest: pin → destination URL, board, description,
+ *                                     publish date (read by the site and by publish-pins.mjs)
+ *
+ * Pages and boards come from src/data/pin-config.json. Each pin shows the page title
+ * (i18n `pages.<id>.title`), its #1 product (first available `rank` in the page content),
+ * the product image, price (prices.json) and a CTA. One pin per page and locale, one
+ * per day at the locale's slot (UTC); the page order rotates every week.
+ * Pins already published this week keep their status when the script is re-run.
+ *
+ * Usage:
+ *   node scripts/generate-pins.mjs                     → current week
+ *   node scripts/generate-pins.mjs --week=2026-10-26   → week containing that date
+ *   node scripts/generate-pins.mjs --dry-run           → prints the manifest, writes nothing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import sharp from 'sharp';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT      = path.join(__dirname, '..');
+const DATA_DIR  = path.join(ROOT, 'src/data');
+const PAGES_DIR = path.join(ROOT, 'src/content/pages');
+const PINS_DIR  = path.join(ROOT, 'public/pins');
+const MANIFEST_PATH = path.join(DATA_DIR, 'pins.json');
+
+const WIDTH  = 1000;
+const HEIGHT = 1500;
+
+const { values: options } = parseArgs({
+  options: {
+    week:      { type: 'string' },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf-8'));
+
+const config   = readJson('pin-config.json');
+const locales  = readJson('locales.json');
+const routes   = readJson('routes.json');
+const catalog  = readJson('products.json');
+const prices   = readJson('prices.json');
+const images   = readJson('product-images.json');
+const dictionaries = Object.fromEntries(Object.keys(locales).map((lang) => [lang, readJson(`i18n/${lang}.json`)]));
+const template = fs.readFileSync(path.join(__dirname, `pin-templates/${config.template}.svg`), 'utf-8');
+
+// Statuts pour lesquels on n'épingle pas le produit (cf. src/lib/prices.ts)
+const UNAVAILABLE = ['out_of_stock', 'unavailable', 'removed'];
+
+// ── Semaine ───────────────────────────────────────────────────────────────────
+
+/** Lundi 00:00 UTC de la semaine contenant `date` */
+function mondayOf(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+  return monday;
+}
+
+/** « 2026-W43 » (semaine ISO 8601) */
+function isoWeek(monday) {
+  const thursday = new Date(monday);
+  thursday.setUTCDate(monday.getUTCDate() + 3);
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return { label: `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`, number: week };
+}
+
+// ── Données de page ───────────────────────────────────────────────────────────
+
+const t = (lang, key, vars = {}) => {
+  const value = key.split('.').reduce((node, part) => node?.[part], dictionaries[lang]);
+  if (typeof value !== 'string') throw new Error(`Missing i18n key "${key}" in src/data/i18n/${lang}.json`);
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+};
+
+/** Contenu d'une page (src/content/pages/<lang>/<id>.md, comme src/lib/last-modified.ts) */
+function pageSource(id, lang) {
+  const file = path.join(PAGES_DIR, lang, `${id}.md`);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf-8') : null;
+}
+
+/** Premier produit disponible du classement de la page (`{ asin: …, rank: n }`) */
+function topPick(id, lang) {
+  const source = pageSource(id, lang);
+  if (!source) return null;
+  const market = locales[lang].market;
+  const ranked = [...source.matchAll(/asin:\s*'?([A-Z0-9]{10})'?,\s*rank:\s*(\d+)/g)]
+    .map(([, asin, rank]) => ({ asin, rank: Number(rank) }))
+    .sort((a, b) => a.rank - b.rank);
+  const pick = ranked.find(({ asin }) => !UNAVAILABLE.includes(prices.markets[market]?.[asin]?.availability));
+  if (pick && ranked[0] && pick.asin !== ranked[0].asin) {
+    console.warn(`  ⚠️  ${lang}/${id} — n°1 ${ranked[0].asin} indisponible, pin sur ${pick.asin}`);
+  }
+  return pick ?? null;
+}
+
+// ── Rendu ─────────────────────────────────────────────────────────────────────
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const truncate = (text, max) => (text.length > max ? `${text.slice(0, max - 1).trimEnd()}…` : text);
+
+/** Découpe le titre en lignes d'au plus `maxChars` caractères */
+function wrap(text, maxChars) {
+  const lines = [];
+  for (const word of text.split(/\s+/)) {
+    const last = lines.at(-1);
+    if (last && `${last} ${word}`.length <= maxChars) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+  }
+  return lines;
+}
+
+function titleBlock(title) {
+  // ~0.62 em par caractère (Syne / DejaVu Sans Bold) sur 840 px de large
+  for (const size of [84, 72, 60]) {
+    const lines = wrap(title, Math.floor(840 / (size * 0.62)));
+    if (lines.length <= 3) {
+      const tspans = lines.map((line, i) => `<tspan x="80" dy="${i ? Math.round(size * 1.1) : 0}">${escapeXml(line)}</tspan>`).join('');
+      return { title: tspans, titleSize: size, titleY: 230 };
+    }
+  }
+  throw new Error(`Pin title too long: "${title}"`);
+}
+
+function visualBlock(asin, brand) {
+  const image = images[asin];
+  const file = image && path.join(ROOT, 'public', image.src);
+  if (!file || !fs.existsSync(file)) {
+    // Sans image locale (npm run images) : la marque en grand
+    return `<text x="500" y="860" text-anchor="middle" font-family="Syne, DM Sans, sans-serif" font-size="96" font-weight="700" fill="#D4B896">${escapeXml(brand)}</text>`;
+  }
+  const data = fs.readFileSync(file).toString('base64');
+  return `<image href="data:image/jpeg;base64,${data}" x="130" y="630" width="740" height="480" preserveAspectRatio="xMidYMid meet"/>`;
+}
+
+function priceBlock(priceFormatted) {
+  if (!priceFormatted) return '';
+  return `<rect x="690" y="550" width="200" height="60" rx="30" fill="#E8621A"/>`
+    + `<text x="790" y="592" text-anchor="middle" font-family="DM Sans, sans-serif" font-size="32" font-weight="700" fill="#FFFFFF">${escapeXml(priceFormatted)}</text>`;
+}
+
+function renderSvg(vars) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+    if (!(name in vars)) throw new Error(`Template ${config.template}.svg: no value for {{${name}}}`);
+    return String(vars[name]);
+  });
+}
+
+// ── Pins ──────────────────────────────────────────────────────────────────────
+
+function buildPin(id, lang, week) {
+  const locale = locales[lang];
+  const pick = topPick(id, lang);
+  if (!pick) {
+    console.warn(`  ⚠️  ${lang}/${id} — aucune page ou aucun produit classé, pas de pin`);
+    return null;
+  }
+
+  const product = catalog[pick.asin];
+  const copy = product?.locales?.[lang];
+  const offer = product?.markets?.[locale.market];
+  if (!copy || !offer) throw new Error(`ASIN ${pick.asin} has no "${lang}" copy or market data in src/data/products.json`);
+
+  const price = prices.markets[locale.market]?.[pick.asin]?.priceFormatted ?? null;
+  const title = t(lang, `pages.${id}.title`);
+  const productName = `${product.brand} ${copy.name}`;
+  const utm = new URLSearchParams({ utm_source: config.utm.source, utm_medium: config.utm.medium, utm_campaign: `pins-${week}` });
+
+  const svg = renderSvg({
+    ...titleBlock(title),
+    kicker: escapeXml(t(lang, 'pins.kicker')),
+    badge: escapeXml(t(lang, 'pins.badge')),
+    visual: visualBlock(pick.asin, product.brand),
+    price: priceBlock(price),
+    brand: escapeXml(product.brand.toUpperCase()),
+    product: escapeXml(truncate(copy.name, 32)),
+    rating: escapeXml(t(lang, 'pins.rating', {
+      rating: offer.rating,
+      count: offer.reviewCount.toLocaleString(locale.dateLocale),
+    })),
+    cta: escapeXml(t(lang, 'pins.cta')),
+    domain: escapeXml(locale.origin.replace(/^https?:\/\//, '')),
+  });
+
+  return {
+    svg,
+    pin: {
+      id: `${week}-${lang}-${id}`,
+      page: id,
+      lang,
+      asin: pick.asin,
+      image: `/pins/${lang}/${id}.jpg`,
+      width: WIDTH,
+      height: HEIGHT,
+      title: truncate(title, 100),
+      description: truncate(t(lang, 'pins.description', {
+        title,
+        desc: t(lang, `pages.${id}.desc`),
+        product: productName,
+        price: price ? ` (${price})` : '',
+        brand: locale.brand,
+      }), 500),
+      link: `${locale.origin}${routes[id].paths[lang]}?${utm}`,
+      board: config.pages[id][lang],
+    },
+  };
+}
+
+/** Une pin par jour et par locale, au créneau de la locale ; l'ordre des pages tourne chaque semaine */
+function schedule(pins, lang, monday, weekNumber) {
+  const slots = config.slots[lang];
+  const offset = weekNumber % Math.max(pins.length, 1);
+  const rotated = [...pins.slice(offset), ...pins.slice(0, offset)];
+  return rotated.map((pin, i) => {
+    const [hours, minutes] = slots[Math.floor(i / 7) % slots.length].split(':').map(Number);
+    const publishAt = new Date(monday);
+    publishAt.setUTCDate(monday.getUTCDate() + (i % 7));
+    publishAt.setUTCHours(hours, minutes, 0, 0);
+    return { ...pin, publishAt: publishAt.toISOString() };
+  });
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+const monday = mondayOf(options.week ? new Date(`${options.week}T00:00:00Z`) : new Date());
+if (Number.isNaN(monday.getTime())) {
+  console.error(`❌  --week invalide : ${options.week} (attendu : AAAA-MM-JJ)`);
+  process.exit(1);
+}
+const week = isoWeek(monday);
+console.log(`📌  Pins Pinterest — semaine ${week.label} (lundi ${monday.toISOString().slice(0, 10)})\n`);
+
+// Statuts de publication déjà connus pour cette semaine (relance du script)
+const previous = fs.existsSync(MANIFEST_PATH) ? JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8')) : { pins: [] };
+const known = new Map(previous.pins.map((pin) => [pin.id, pin]));
+
+const pins = [];
+const rendered = [];
+for (const lang of Object.keys(locales)) {
+  const built = Object.keys(config.pages)
+    .filter((id) => routes[id]?.paths[lang])
+    .map((id) => buildPin(id, lang, week.label))
+    .filter(Boolean);
+  rendered.push(...built);
+  for (const pin of schedule(built.map((b) => b.pin), lang, monday, week.number)) {
+    const { status = 'scheduled', pinterestId, publishedAt, error } = known.get(pin.id) ?? {};
+    pins.push({ ...pin, status, ...(pinterestId && { pinterestId }), ...(publishedAt && { publishedAt }), ...(error && { error }) });
+  }
+}
+pins.sort((a, b) => a.publishAt.localeCompare(b.publishAt));
+
+const manifest = { week: week.label, generatedAt: new Date().toISOString(), pins };
+
+if (options['dry-run']) {
+  console.log(JSON.stringify(manifest, null, 2));
+  process.exit(0);
+}
+
+for (const { svg, pin } of rendered) {
+  const dest = path.join(ROOT, 'public', pin.image);
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  await sharp(Buffer.from(svg)).resize(WIDTH, HEIGHT).jpeg({ quality: 82, mozjpeg: true }).toFile(dest);
+  console.log(`  ✅ ${pin.image} — ${pin.asin} (${Math.round(fs.statSync(dest).size / 1024)}KB)`);
+}
+
+// Les pins des semaines précédentes ne sont plus servies (Pinterest garde sa copie)
+const current = new Set(rendered.map(({ pin }) => path.join(ROOT, 'public', pin.image)));
+for (const entry of fs.readdirSync(PINS_DIR, { recursive: true, withFileTypes: true })) {
+  const file = path.join(entry.parentPath ?? entry.path, entry.name);
+  if (entry.isFile() && !current.has(file)) {
+    fs.unlinkSync(file);
+    console.log(`  🗑️  ${path.relative(ROOT, file)}`);
+  }
+}
+
+fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+console.log(`\n📅  ${pins.length} pin(s) planifiée(s) → ${path.relative(ROOT, MANIFEST_PATH)}`);
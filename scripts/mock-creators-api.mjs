@@ -0,0 +1,136 @@
+/**
+ * mock-creators-api.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Local stand-in for the Amazon Creators API (OAuth2 token + catalog getItems),
+ * replaying the recorded responses in scripts/fixtures/creators-api/<name>.json.
+ *
+ * getItems only returns the fixture items that were asked for (itemIds), like
+ * the real API, and rejects batches of more than 10 ASINs or a wrong Bearer token.
+ * Every request is recorded so the harness can assert on batching and token reuse.
+ *
+ * Run standalone:
+ *   node scripts/mock-creators-api.mjs success 4010
+ *   CREATORS_TOKEN_URL=http://127.0.0.1:4010/auth/o2/token \
+ *   CREATORS_API_URL=http://127.0.0.1:4010/catalog/v1/getItems \
+ *   AMAZON_CLIENT_ID=mock AMAZON_CLIENT_SECRET=mock node scripts/update-prices.mjs
+ *
+ * Fixture shape:
+ *   { description, extends?, token: { status, body }, getItems: { status, body } | { status, raw } }
+ */
+
+import { createServer } from 'http';
+import { readFileSync, readdirSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+export const FIXTURES_DIR = join(__dirname, 'fixtures/creators-api');
+
+const TOKEN_PATH     = '/auth/o2/token';
+const GET_ITEMS_PATH = '/catalog/v1/getItems';
+const MAX_ITEM_IDS   = 10;
+
+/** Names of the recorded fixtures (file names without .json) */
+export function listFixtures() {
+  return readdirSync(FIXTURES_DIR)
+    .filter((f) => f.endsWith('.json'))
+    .map((f) => f.replace(/\.json$/, ''))
+    .sort();
+}
+
+/** Load a fixture, resolving `extends` (the child's token/getItems win) */
+export function loadFixture(name) {
+  const fixture = JSON.parse(readFileSync(join(FIXTURES_DIR, `${name}.json`), 'utf-8'));
+  if (!fixture.extends) return fixture;
+  return { ...loadFixture(fixture.extends), ...fixture };
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+/** Replay a recorded getItems response, keeping only the items that were requested */
+function replayGetItems(res, fixture, itemIds) {
+  const { status, body, raw } = fixture.getItems;
+  if (raw != null) return send(res, status, raw);
+
+  const items = body.itemsResult?.items?.filter((item) => itemIds.includes(item.asin));
+  const reply = body.itemsResult ? { ...body, itemsResult: { ...body.itemsResult, items } } : body;
+  send(res, status, reply);
+}
+
+/**
+ * Start the mock on 127.0.0.1 (port 0 = any free port).
+ * Resolves to { tokenUrl, apiUrl, requests, close() } where
+ *   requests.token    = number of token requests
+ *   requests.getItems = [{ marketplace, itemIds }] in call order
+ */
+export function startMockServer({ fixture: name, port = 0 }) {
+  const fixture  = loadFixture(name);
+  const requests = { token: 0, getItems: [] };
+
+  const server = createServer(async (req, res) => {
+    const raw = await readBody(req);
+
+    if (req.method === 'POST' && req.url === TOKEN_PATH) {
+      requests.token++;
+      return send(res, fixture.token.status, fixture.token.body);
+    }
+
+    if (req.method === 'POST' && req.url === GET_ITEMS_PATH) {
+      const expected = `Bearer ${fixture.token.body.access_token}`;
+      if (req.headers.authorization !== expected) {
+        return send(res, 401, { errors: [{ code: 'Unauthorized', message: 'Missing or invalid Bearer token' }] });
+      }
+
+      const { itemIds = [], marketplace } = JSON.parse(raw || '{}');
+      requests.getItems.push({ marketplace, itemIds });
+
+      if (itemIds.length > MAX_ITEM_IDS) {
+        return send(res, 400, { errors: [{ code: 'InvalidParameterValue', message: `At most ${MAX_ITEM_IDS} itemIds per request` }] });
+      }
+      return replayGetItems(res, fixture, itemIds);
+    }
+
+    send(res, 404, { errors: [{ code: 'NotFound', message: `${req.method} ${req.url}` }] });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const base = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        tokenUrl: base + TOKEN_PATH,
+        apiUrl:   base + GET_ITEMS_PATH,
+        requests,
+        close:    () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [name = 'success', port = '4010'] = process.argv.slice(2);
+
+  if (!listFixtures().includes(name)) {
+    console.error(`❌  Fixture inconnue « ${name} ». Disponibles : ${listFixtures().join(', ')}`);
+    process.exit(1);
+  }
+
+  const mock = await startMockServer({ fixture: name, port: Number(port) });
+  console.log(`🧪  Mock Creators API — fixture « ${name} »`);
+  console.log(`    CREATORS_TOKEN_URL=${mock.tokenUrl}`);
+  console.log(`    CREATORS_API_URL=${mock.apiUrl}`);
+  console.log('    Ctrl+C pour arrêter.');
+}
@@ -0,0 +1,118 @@
+/**
+ * mock-pinterest-api.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Local stand-in for the Pinterest API v5 endpoints used by scripts/publish-pins.mjs:
+ *   GET  /v5/boards   → the boards named in src/data/pin-config.json (paginated by `bookmark`)
+ *   POST /v5/pins     → checks the Bearer token, board_id, title, link and base64 media,
+ *                       then answers { id } like the real API
+ * Every created pin is recorded so a run can be inspected (requests.pins).
+ *
+ * Run standalone:
+ *   node scripts/mock-pinterest-api.mjs 4011
+ *   PINTEREST_API_URL=http://127.0.0.1:4011/v5 PINTEREST_ACCESS_TOKEN=mock-token \
+ *   node scripts/publish-pins.mjs --all
+ */
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const CONFIG_PATH = join(__dirname, '../src/data/pin-config.json');
+
+export const MOCK_TOKEN = 'mock-token';
+const PAGE_SIZE = 5;   // Petites pages pour exercer la pagination
+
+/** Tableaux de pin-config.json, avec des ids stables */
+function configuredBoards() {
+  const { pages } = JSON.parse(readFileSync(CONFIG_PATH, 'utf-8'));
+  const names = [...new Set(Object.values(pages).flatMap((boards) => Object.values(boards)))];
+  return names.map((name, i) => ({ id: String(9000 + i), name }));
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+/** Champs refusés par l'API réelle (code 400) */
+function pinErrors(body, boards) {
+  const errors = [];
+  if (!boards.some((board) => board.id === body.board_id)) errors.push(`unknown board_id ${body.board_id}`);
+  if (!body.title || body.title.length > 100) errors.push('title is required (100 characters max)');
+  if (body.description?.length > 500) errors.push('description is 500 characters max');
+  if (!/^https:\/\//.test(body.link ?? '')) errors.push('link must be an https URL');
+  const media = body.media_source ?? {};
+  if (media.source_type !== 'image_base64' || !media.data || !/^image\/(jpeg|png)$/.test(media.content_type)) {
+    errors.push('media_source must be an image_base64 JPEG or PNG');
+  }
+  return errors;
+}
+
+/**
+ * Start the mock on 127.0.0.1 (port 0 = any free port).
+ * Resolves to { apiUrl, requests, close() } where requests.pins = created pins in call order.
+ */
+export function startMockPinterest({ port = 0 } = {}) {
+  const boards   = configuredBoards();
+  const requests = { boards: 0, pins: [] };
+
+  const server = createServer(async (req, res) => {
+    const raw = await readBody(req);
+    if (req.headers.authorization !== `Bearer ${MOCK_TOKEN}`) {
+      return send(res, 401, { code: 2, message: 'Authentication failed.' });
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'GET' && url.pathname === '/v5/boards') {
+      requests.boards++;
+      const start = Number(url.searchParams.get('bookmark') ?? 0);
+      const items = boards.slice(start, start + PAGE_SIZE);
+      const next = start + PAGE_SIZE < boards.length ? String(start + PAGE_SIZE) : null;
+      return send(res, 200, { items, bookmark: next });
+    }
+
+    if (req.method === 'POST' && url.pathname === '/v5/pins') {
+      const body = JSON.parse(raw || '{}');
+      const errors = pinErrors(body, boards);
+      if (errors.length) return send(res, 400, { code: 1, message: errors.join('; ') });
+
+      const id = String(100000 + requests.pins.length);
+      requests.pins.push({ id, board_id: body.board_id, title: body.title, link: body.link, bytes: Buffer.from(body.media_source.data, 'base64').length });
+      return send(res, 201, { id, board_id: body.board_id, title: body.title, link: body.link });
+    }
+
+    send(res, 404, { code: 404, message: `${req.method} ${url.pathname}` });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        apiUrl:   `http://127.0.0.1:${server.address().port}/v5`,
+        requests,
+        close:    () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
+
+// ── CLI ───────────────────────────────────────────────────────────────────────
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const [port = '4011'] = process.argv.slice(2);
+  const mock = await startMockPinterest({ port: Number(port) });
+  console.log('🧪  Mock Pinterest API');
+  console.log(`    PINTEREST_API_URL=${mock.apiUrl}`);
+  console.log(`    PINTEREST_ACCESS_TOKEN=${MOCK_TOKEN}`);
+  console.log('    Ctrl+C pour arrêter.');
+}
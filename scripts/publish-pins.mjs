@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * publish-pins.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Publishes the pins of src/data/pins.json (written by scripts/generate-pins.mjs)
+ * whose publish date has passed, and records the outcome in the manifest:
+ *   status "published" + pinterestId + publishedAt, or "failed" + error.
+ *
+ * Publishing goes through an adapter ({ listBoards(), createPin(pin, image) }).
+ * pinterestAdapter() calls the Pinterest API v5; scripts/mock-pinterest-api.mjs
+ * stands in for it locally (PINTEREST_API_URL). Boards are resolved by name, the
+ * image is uploaded as base64 from public/ — the pins don't need to be deployed yet.
+ * A rate limit (429) stops the run; the remaining pins stay scheduled.
+ *
+ * Env:
+ *   PINTEREST_ACCESS_TOKEN   OAuth token (scopes pins:write, boards:read)
+ *   PINTEREST_API_URL        default https://api.pinterest.com/v5
+ *
+ * Usage:
+ *   node scripts/publish-pins.mjs              → pins due now
+ *   node scripts/publish-pins.mjs --all        → every pin not yet published
+ *   node scripts/publish-pins.mjs --dry-run    → lists what would be published
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT          = path.join(__dirname, '..');
+const MANIFEST_PATH = path.join(ROOT, 'src/data/pins.json');
+
+const API_URL = process.env.PINTEREST_API_URL || 'https://api.pinterest.com/v5';
+const TOKEN   = process.env.PINTEREST_ACCESS_TOKEN;
+
+const { values: options } = parseArgs({
+  options: {
+    all:       { type: 'boolean', default: false },
+    'dry-run': { type: 'boolean', default: false },
+  },
+});
+
+export class PinterestError extends Error {
+  constructor(status, message) {
+    super(`Pinterest API ${status}: ${message}`);
+    this.status = status;
+  }
+}
+
+// ── Adaptateur ────────────────────────────────────────────────────────────────
+
+/** Pinterest API v5 (ou le mock local, même contrat HTTP) */
+export function pinterestAdapter({ apiUrl = API_URL, token = TOKEN } = {}) {
+  const request = async (method, endpoint, body) => {
+    const res = await fetch(`${apiUrl}${endpoint}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body && JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new PinterestError(res.status, data.message ?? res.statusText);
+    return data;
+  };
+
+  return {
+    /** Tous les tableaux du compte (pagination par bookmark) */
+    async listBoards() {
+      const boards = [];
+      let bookmark = null;
+      do {
+        const query = new URLSearchParams({ page_size: '100', ...(bookmark && { bookmark }) });
+        const page = await request('GET', `/boards?${query}`);
+        boards.push(...page.items);
+        bookmark = page.bookmark;
+      } while (bookmark);
+      return boards;
+    },
+
+    async createPin(pin, { boardId, image }) {
+      const created = await request('POST', '/pins', {
+        board_id: boardId,
+        title: pin.title,
+        description: pin.description,
+        link: pin.link,
+        alt_text: pin.title,
+        media_source: { source_type: 'image_base64', content_type: 'image/jpeg', data: image.toString('base64') },
+      });
+      return { id: created.id };
+    },
+  };
+}
+
+// ── Publication ───────────────────────────────────────────────────────────────
+
+/** Pins à publier : jamais publiées (ou en échec) et dont la date est passée */
+export function duePins(manifest, { now = new Date(), all = false } = {}) {
+  return manifest.pins.filter((pin) => pin.status !== 'published' && (all || new Date(pin.publishAt) <= now));
+}
+
+/**
+ * Publie `pins` via `adapter` et met à jour chaque entrée sur place.
+ * `save` est appelé après chaque pin : une interruption ne republie rien.
+ */
+export async function publishPins(pins, adapter, save = () => {}) {
+  const boards = new Map((await adapter.listBoards()).map((board) => [board.name, board.id]));
+  const summary = { published: 0, failed: 0, deferred: 0 };
+
+  for (const [i, pin] of pins.entries()) {
+    const boardId = boards.get(pin.board);
+    try {
+      if (!boardId) throw new Error(`board "${pin.board}" not found on the account`);
+      const image = fs.readFileSync(path.join(ROOT, 'public', pin.image));
+      const { id } = await adapter.createPin(pin, { boardId, image });
+      Object.assign(pin, { status: 'published', pinterestId: id, publishedAt: new Date().toISOString() });
+      delete pin.error;
+      summary.published++;
+      console.log(`  ✅ ${pin.id} → ${pin.board} (${id})`);
+    } catch (err) {
+      if (err.status === 429) {
+        summary.deferred = pins.length - i;
+        console.warn(`  ⏸️  Limite de débit atteinte — ${summary.deferred} pin(s) reportée(s)`);
+        break;
+      }
+      Object.assign(pin, { status: 'failed', error: err.message });
+      summary.failed++;
+      console.error(`  ❌ ${pin.id} — ${err.message}`);
+    }
+    save();
+  }
+  return summary;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf-8'));
+  const due = duePins(manifest, { all: options.all });
+  console.log(`📌  Publication Pinterest — semaine ${manifest.week}, ${due.length} pin(s) à publier\n`);
+
+  if (options['dry-run']) {
+    for (const pin of due) console.log(`  • ${pin.publishAt}  ${pin.id} → ${pin.board}`);
+    process.exit(0);
+  }
+  if (!due.length) process.exit(0);
+  if (!TOKEN) {
+    console.error('❌  PINTEREST_ACCESS_TOKEN manquant.');
+    process.exit(1);
+  }
+
+  const save = () => fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+  try {
+    const summary = await publishPins(due, pinterestAdapter(), save);
+    console.log(`\n📊  ${summary.published} publiée(s), ${summary.failed} en échec, ${summary.deferred} reportée(s)`);
+    process.exit(summary.failed ? 1 : 0);
+  } catch (err) {
+    console.error(`❌  ${err.message}`);
+    process.exit(1);
+  }
+}
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * ranking-diff.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Reports what changed between two ranking snapshots of the best-of lists
+ * (src/data/ranking-history/, written by scripts/snapshot-rankings.mjs):
+ * products that entered or left the list, and rank moves.
+ *
+ * By default, compares each list's latest snapshot with the one before it.
+ * With --from / --to (ISO weeks), compares the rankings in force those weeks.
+ *
+ * Usage:
+ *   node scripts/ranking-diff.mjs                                   → latest change of every list
+ *   node scripts/ranking-diff.mjs --page=best-standing-desks --lang=fr
+ *   node scripts/ranking-diff.mjs --from=2026-W40 --to=2026-W43
+ *   node scripts/ranking-diff.mjs --json                            → machine-readable output
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { HISTORY_DIR, diffRankings } from './snapshot-rankings.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const catalog   = JSON.parse(fs.readFileSync(path.join(__dirname, '../src/data/products.json'), 'utf-8'));
+
+const { values: options } = parseArgs({
+  options: {
+    page: { type: 'string' },
+    lang: { type: 'string' },
+    from: { type: 'string' },
+    to:   { type: 'string' },
+    json: { type: 'boolean', default: false },
+  },
+});
+
+const WEEK = /^\d{4}-W\d{2}$/;
+for (const key of ['from', 'to']) {
+  if (options[key] && !WEEK.test(options[key])) {
+    console.error(`❌  --${key}=${options[key]} : semaine attendue au format 2026-W43.`);
+    process.exit(1);
+  }
+}
+
+/** Classement en vigueur la semaine `week` (dernier relevé de cette semaine ou d'avant) */
+const inForce = (snapshots, week) => [...snapshots].reverse().find((s) => s.week <= week);
+
+/** Relevés comparés pour un historique, ou null s'il n'y a rien à comparer */
+function pair(snapshots) {
+  if (options.from) {
+    const to = options.to ? inForce(snapshots, options.to) : snapshots.at(-1);
+    return to ? [inForce(snapshots, options.from), to] : null;
+  }
+  return snapshots.length > 1 ? [snapshots.at(-2), snapshots.at(-1)] : null;
+}
+
+const histories = fs.existsSync(HISTORY_DIR)
+  ? fs.readdirSync(HISTORY_DIR).flatMap((lang) => fs.readdirSync(path.join(HISTORY_DIR, lang))
+    .map((file) => JSON.parse(fs.readFileSync(path.join(HISTORY_DIR, lang, file), 'utf-8'))))
+  : [];
+
+const reports = histories
+  .filter((h) => (!options.page || h.page === options.page) && (!options.lang || h.lang === options.lang))
+  .map((history) => {
+    const snapshots = pair(history.snapshots);
+    if (!snapshots) return null;
+    const [before, after] = snapshots;
+    return {
+      page: history.page,
+      lang: history.lang,
+      from: before?.week ?? null,
+      to: after.week,
+      ...diffRankings(before?.entries ?? [], after.entries),
+    };
+  })
+  .filter((report) => report && report.entered.length + report.exited.length + report.moved.length > 0);
+
+if (options.json) {
+  console.log(JSON.stringify(reports, null, 2));
+  process.exit(0);
+}
+
+const name = (asin, lang) => catalog[asin]?.locales?.[lang]?.name ?? asin;
+
+console.log(`📊  Classements — ${reports.length} liste(s) modifiée(s)\n`);
+for (const { page, lang, from, to, entered, exited, moved } of reports) {
+  console.log(`  ${lang}/${page}  (${from ?? '—'} → ${to})`);
+  for (const e of entered) console.log(`    ➕ n°${e.rank}  ${name(e.asin, lang)} (${e.asin})`);
+  for (const e of exited)  console.log(`    ➖ n°${e.rank}  ${name(e.asin, lang)} (${e.asin})`);
+  for (const m of moved)   console.log(`    ${m.to < m.from ? '⬆️ ' : '⬇️ '} n°${m.from} → n°${m.to}  ${name(m.asin, lang)} (${m.asin})`);
+}
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * snapshot-rankings.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Snapshots the ranking (ASIN, rank, badge) of every best-of list — each page of
+ * src/data/routes.json whose content (src/content/pages/<lang>/<id>.md) lists ranked
+ * products `{ asin: …, rank: n }` —
+ * into src/data/ranking-history/<lang>/<page>.json (`npm run rankings:snapshot`).
+ *
+ * One snapshot per ISO week, written only when the ranking changed: a re-run in the
+ * same week replaces that week's snapshot, an unchanged ranking writes nothing.
+ * The site reads the history through src/lib/rankings.ts ("Nouveautés de la semaine",
+ * ↑/↓ on rank badges, Atom feed per category); scripts/ranking-diff.mjs prints it.
+ * Like prices.json, the history is written and committed by the weekly pipeline
+ * (.github/workflows/update-prices.yml) — builds only read it.
+ *
+ * Usage:
+ *   node scripts/snapshot-rankings.mjs             → snapshot for today
+ *   node scripts/snapshot-rankings.mjs --dry-run   → prints the changes, writes nothing
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT        = path.join(__dirname, '..');
+const DATA_DIR    = path.join(ROOT, 'src/data');
+const PAGES_DIR   = path.join(ROOT, 'src/content/pages');
+export const HISTORY_DIR = path.join(DATA_DIR, 'ranking-history');
+
+const readJson = (file) => JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf-8'));
+
+// ── Semaine ───────────────────────────────────────────────────────────────────
+
+/** « 2026-W43 » : semaine ISO 8601 de `date` (même calcul que generate-pins.mjs) */
+export function isoWeek(date) {
+  const thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+  const yearStart = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((thursday - yearStart) / 86400000 + 1) / 7);
+  return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// ── Classements ───────────────────────────────────────────────────────────────
+
+/** Classement d'un source de page : [{ asin, rank, badge }] trié par rang, [] s'il n'y en a pas */
+export function parseRanking(source) {
+  const entries = new Map();
+  for (const [, asin, rest] of source.matchAll(/\{\s*asin:\s*'?([A-Z0-9]{10})'?([^}]*)\}/g)) {
+    const rank = rest.match(/\brank:\s*(\d+)/)?.[1];
+    if (!rank || entries.has(asin)) continue;
+    const badge = rest.match(/\bbadge:\s*'?(\w+)'?/)?.[1] ?? null;
+    entries.set(asin, { asin, rank: Number(rank), badge });
+  }
+  return [...entries.values()].sort((a, b) => a.rank - b.rank);
+}
+
+/**
+ * Entrées, sorties et changements de rang entre deux classements
+ * (aussi utilisé par le site : src/lib/rankings.ts)
+ */
+export function diffRankings(before, after) {
+  const previous = new Map(before.map((e) => [e.asin, e]));
+  const current  = new Map(after.map((e) => [e.asin, e]));
+  return {
+    entered: after.filter((e) => !previous.has(e.asin)),
+    exited:  before.filter((e) => !current.has(e.asin)),
+    moved:   after
+      .filter((e) => previous.has(e.asin) && previous.get(e.asin).rank !== e.rank)
+      .map((e) => ({ asin: e.asin, from: previous.get(e.asin).rank, to: e.rank })),
+  };
+}
+
+const sameRanking = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Historique d'une page (créé vide au premier passage) */
+export function readHistory(lang, id) {
+  const file = path.join(HISTORY_DIR, lang, `${id}.json`);
+  return fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf-8'))
+    : { page: id, lang, category: null, snapshots: [] };
+}
+
+/** Ajoute `entries` à l'historique si le classement a changé ; true si l'historique est modifié */
+export function addSnapshot(history, entries, now = new Date()) {
+  const week = isoWeek(now);
+  const snapshots = history.snapshots;
+  const last = snapshots.at(-1);
+  if (last && sameRanking(last.entries, entries)) return false;
+
+  // Même semaine : on remplace, et on retire le relevé s'il revient au classement précédent
+  if (last?.week === week) {
+    snapshots.pop();
+    if (snapshots.length && sameRanking(snapshots.at(-1).entries, entries)) return true;
+  }
+  snapshots.push({ week, date: now.toISOString().split('T')[0], entries });
+  return true;
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { values: options } = parseArgs({ options: { 'dry-run': { type: 'boolean', default: false } } });
+
+  const locales = readJson('locales.json');
+  const routes  = readJson('routes.json');
+  const catalog = readJson('products.json');
+
+  console.log(`📊  Classements — semaine ${isoWeek(new Date())}\n`);
+  let changed = 0;
+
+  for (const [id, route] of Object.entries(routes)) {
+    for (const lang of Object.keys(locales)) {
+      if (!route.paths[lang]) continue;
+      // Même fichier que src/lib/last-modified.ts
+      const file = path.join(PAGES_DIR, lang, `${id}.md`);
+      const entries = fs.existsSync(file) ? parseRanking(fs.readFileSync(file, 'utf-8')) : [];
+      if (!entries.length) continue;
+
+      const history = readHistory(lang, id);
+      const categories = new Set(entries.map((e) => catalog[e.asin]?.category));
+      history.category = categories.size === 1 ? [...categories][0] : null;
+
+      const before = history.snapshots.at(-1)?.entries ?? [];
+      if (!addSnapshot(history, entries)) continue;
+      changed++;
+
+      const { entered, exited, moved } = diffRankings(before, entries);
+      console.log(`  ✏️  ${lang}/${id} — ${entered.length} entrée(s), ${exited.length} sortie(s), ${moved.length} changement(s) de rang`);
+      if (options['dry-run']) continue;
+      fs.mkdirSync(path.join(HISTORY_DIR, lang), { recursive: true });
+      fs.writeFileSync(path.join(HISTORY_DIR, lang, `${id}.json`), JSON.stringify(history, null, 2) + '\n');
+    }
+  }
+
+  console.log(changed ? `\n✅  ${changed} classement(s) mis à jour.` : '✅  Aucun changement de classement.');
+}
@@ -0,0 +1,124 @@
+/**
+ * tracking-report.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Aggregates exported tracking events (NDJSON, one event per line, as written by
+ * scripts/tracking-sink.mjs) into a click-through report:
+ *   - CTR per placement     Amazon Click / Placement View (card, quick-winner, builder…);
+ *                           both events carry the link's data, so --by asin|rank|badge splits them alike
+ *   - product section reach share of readers reaching the n-th #product-ASIN section
+ *   - outbound clicks       non-affiliate links, by host
+ * Lines may be `{ name, data: {…} }` or flat `{ name, placement, … }`; invalid lines are skipped.
+ *
+ * Usage:
+ *   node scripts/tracking-report.mjs tracking-events.ndjson
+ *   node scripts/tracking-report.mjs export-*.ndjson --by page     → one row per placement and page
+ *   node scripts/tracking-report.mjs export-*.ndjson --by asin     → one row per placement and product
+ *   node scripts/tracking-report.mjs tracking-events.ndjson --json
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { parseArgs } from 'util';
+
+const { values: options, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    by:   { type: 'string' },                 // page | locale | asin | rank | badge
+    json: { type: 'boolean', default: false },
+  },
+});
+const BY = options.by ?? null;
+
+// ── Lecture ───────────────────────────────────────────────────────────────────
+
+function readEvents(file) {
+  return readFileSync(file, 'utf-8').split('\n').filter((line) => line.trim()).flatMap((line) => {
+    try {
+      const { name, data, ...flat } = JSON.parse(line);
+      return typeof name === 'string' ? [{ name, data: data ?? flat }] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+// ── Agrégation ────────────────────────────────────────────────────────────────
+
+const pct = (part, total) => (total ? `${((part / total) * 100).toFixed(1)} %` : '—');
+
+function placementRows(events) {
+  const rows = new Map();
+  const row = (data) => {
+    const key = [data.placement ?? 'unknown', BY ? data[BY] ?? '—' : null].filter((v) => v !== null).join(' · ');
+    if (!rows.has(key)) rows.set(key, { placement: key, views: 0, clicks: 0 });
+    return rows.get(key);
+  };
+
+  for (const { name, data } of events) {
+    if (name === 'Placement View') row(data).views++;
+    if (name === 'Amazon Click') row(data).clicks++;
+  }
+  return [...rows.values()]
+    .map((r) => ({ ...r, ctr: pct(r.clicks, r.views) }))
+    .sort((a, b) => b.clicks - a.clicks || b.views - a.views);
+}
+
+function sectionReach(events) {
+  const counts = new Map();
+  for (const { name, data } of events) {
+    if (name !== 'Product Section View') continue;
+    const depth = Number(data.depth);
+    if (depth) counts.set(depth, (counts.get(depth) ?? 0) + 1);
+  }
+  const first = counts.get(1) ?? 0;
+  return [...counts.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([depth, views]) => ({ depth, views, reach: pct(views, first) }));
+}
+
+function outboundHosts(events) {
+  const counts = new Map();
+  for (const { name, data } of events) {
+    if (name === 'Outbound Click') counts.set(data.host, (counts.get(data.host) ?? 0) + 1);
+  }
+  return [...counts.entries()].map(([host, clicks]) => ({ host, clicks })).sort((a, b) => b.clicks - a.clicks);
+}
+
+// ── Main ──────────────────────────────────────────────────────────────────────
+
+if (!files.length) {
+  console.error('❌  Usage : node scripts/tracking-report.mjs <events.ndjson…> [--by page|locale|asin] [--json]');
+  process.exit(1);
+}
+for (const file of files) {
+  if (!existsSync(file)) {
+    console.error(`❌  ${file} introuvable.`);
+    process.exit(1);
+  }
+}
+
+const events = files.flatMap(readEvents);
+const report = {
+  events: events.length,
+  placements: placementRows(events),
+  sections: sectionReach(events),
+  outbound: outboundHosts(events),
+};
+
+if (options.json) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(0);
+}
+
+console.log(`📊  Rapport de suivi — ${report.events} événement(s), ${files.length} fichier(s)\n`);
+
+console.log(`🎯  CTR par emplacement${BY ? ` (par ${BY})` : ''}`);
+if (report.placements.length) console.table(report.placements);
+else console.log('  (aucune vue ni clic d\'emplacement)');
+
+console.log('\n📜  Sections produit atteintes (par rapport à la 1re)');
+if (report.sections.length) console.table(report.sections);
+else console.log('  (aucune)');
+
+console.log('\n↗️  Clics sortants hors affiliation');
+if (report.outbound.length) console.table(report.outbound);
+else console.log('  (aucun)');
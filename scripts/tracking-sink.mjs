@@ -0,0 +1,59 @@
+/**
+ * tracking-sink.mjs
+ * ─────────────────────────────────────────────────────────────────────────────
+ * Local NDJSON sink for the tracking events of src/lib/tracking.ts (ndjsonAdapter).
+ * Every POST body (one or more JSON lines) is validated and appended to the output
+ * file, which scripts/tracking-report.mjs reads. For local testing only.
+ *
+ * Usage:
+ *   node scripts/tracking-sink.mjs                         → http://localhost:4322/events → tracking-events.ndjson
+ *   node scripts/tracking-sink.mjs out/events.ndjson 4400
+ *   PUBLIC_TRACKING_SINK=http://localhost:4322/events npm run dev
+ */
+
+import { createServer } from 'http';
+import { appendFileSync } from 'fs';
+import { resolve } from 'path';
+
+const OUTPUT = resolve(process.argv[2] ?? 'tracking-events.ndjson');
+const PORT   = Number(process.argv[3] ?? 4322);
+const PATH   = '/events';
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', (chunk) => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+/** Lignes valides : objets JSON avec un nom et des données */
+function parseEvents(body) {
+  return body.split('\n').filter((line) => line.trim()).flatMap((line) => {
+    try {
+      const event = JSON.parse(line);
+      return typeof event?.name === 'string' && typeof event.data === 'object' ? [event] : [];
+    } catch {
+      return [];
+    }
+  });
+}
+
+const server = createServer(async (req, res) => {
+  // sendBeacon / fetch depuis le site en dev : autre origine
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  if (req.method === 'OPTIONS') return res.writeHead(204).end();
+  if (req.method !== 'POST' || req.url !== PATH) return res.writeHead(404).end();
+
+  const events = parseEvents(await readBody(req));
+  if (events.length) {
+    appendFileSync(OUTPUT, events.map((event) => JSON.stringify(event)).join('\n') + '\n');
+    for (const { name, data } of events) console.log(`  📥 ${name} — ${data.placement ?? data.asin ?? data.host ?? ''} (${data.page})`);
+  }
+  res.writeHead(events.length ? 204 : 400).end();
+});
+
+server.listen(PORT, () => {
+  console.log(`📡  Puits de suivi — http://localhost:${PORT}${PATH} → ${OUTPUT}`);
+});
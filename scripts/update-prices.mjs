@@ -1,8 +1,11 @@
 /**
  * update-prices.mjs
  * ─────────────────────────────────────────────────────────────────────────────
- * Fetches current Amazon prices via the Amazon Creators API and updates the
- * price fields in the Astro product pages.
+ * Fetches current Amazon prices via the Amazon Creators API and writes them to
+ * the versioned price store (src/data/prices.json), one record per ASIN and
+ * marketplace. ProductCard, PriceDisplay and the comparison tables read that file.
+ * Every observation is also appended to src/data/price-history/<ASIN>.json
+ * (one entry per ASIN, market and day) for the price-trend badges and sparklines.
  *
  * The Creators API replaces PA-API (deprecated April 30, 2026).
  * Auth uses OAuth2 client_credentials — no AWS SigV4 needed.
@@ -21,17 +24,57 @@
  * Run manually:
  *   AMAZON_CLIENT_ID=amzn1.application-oa2-client.3... AMAZON_CLIENT_SECRET=xxx \
  *   AMAZON_TAG_FR=zeroalc-21 AMAZON_TAG_EN=zeroalc-21 node scripts/update-prices.mjs
+ *
+ * Options:
+ *   --dry-run              print a unified diff of what would change, write nothing
+ *   --report=json|markdown per-ASIN report (old, new, Δ%, skipped reason, API error code)
+ *   --report-out=<path>    write the report to a file instead of stdout
+ *   --max-missing=<n>      exit with code 2 when more than n ASINs come back without a price
+ *                          (files are still written, so the fetched prices are not lost)
+ *
+ * Offline (mock Creators API + temp copy of src/data):
+ *   npm run check:prices            → scripts/check-price-updater.mjs
+ *
+ * Overrides (used by the offline harness):
+ *   CREATORS_TOKEN_URL       OAuth2 token endpoint for every market
+ *   CREATORS_API_URL         getItems endpoint for every market
+ *   PRICE_DATA_DIR           directory holding products.json / prices.json / price-history/
+ *   CREATORS_BATCH_DELAY_MS  polite delay between requests (default 1000)
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { join, dirname } from 'path';
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { join, dirname, relative } from 'path';
 import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = join(__dirname, '..');
 
 // ── Config ────────────────────────────────────────────────────────────────────
 
+const { values: options } = parseArgs({
+  options: {
+    'dry-run':     { type: 'boolean', default: false },
+    'report':      { type: 'string' },
+    'report-out':  { type: 'string' },
+    'max-missing': { type: 'string' },
+  },
+});
+
+const DRY_RUN     = options['dry-run'];
+const REPORT      = options.report;
+const REPORT_OUT  = options['report-out'];
+const MAX_MISSING = options['max-missing'] != null ? Number(options['max-missing']) : Infinity;
+
+if (REPORT && !['json', 'markdown'].includes(REPORT)) {
+  console.error(`❌  --report=${REPORT} inconnu (json | markdown).`);
+  process.exit(1);
+}
+if (!Number.isInteger(MAX_MISSING) && MAX_MISSING !== Infinity) {
+  console.error(`❌  --max-missing=${options['max-missing']} doit être un entier.`);
+  process.exit(1);
+}
+
 const CLIENT_ID     = process.env.AMAZON_CLIENT_ID;
 const CLIENT_SECRET = process.env.AMAZON_CLIENT_SECRET;
 const TAG_FR        = process.env.AMAZON_TAG_FR || 'zeroalc-21';
@@ -45,88 +88,49 @@ if (!CLIENT_ID || !CLIENT_SECRET) {
   process.exit(1);
 }
 
+const DATA_DIR       = process.env.PRICE_DATA_DIR || join(ROOT, 'src/data');
+const BATCH_DELAY_MS = Number(process.env.CREATORS_BATCH_DELAY_MS ?? 1000);
+
 /** Ignore price changes smaller than this percentage (avoids noise) */
 const MIN_CHANGE_PCT = 3;
 
-// ── Products to track ─────────────────────────────────────────────────────────
+/** Format version of src/data/prices.json — keep in sync with src/lib/prices.ts */
+const PRICES_VERSION = 2;
 
-// FR ASINs (Amazon.fr, EUR)
-const FR_ASINS = {
-  'B09TD87W1J': ['src/pages/best-standing-desks.astro', 'src/pages/home-office-setup.astro', 'src/pages/index.astro'],
-  'B0BHTQRLXS': ['src/pages/best-standing-desks.astro'],
-  'B087JF3B5S': ['src/pages/best-standing-desks.astro', 'src/pages/home-office-setup.astro'],
-  'B087M4278G': ['src/pages/best-standing-desks.astro'],
-  'B0F32CK158': ['src/pages/best-standing-desks.astro'],
-  'B0BGZB6VZM': ['src/pages/best-ergonomic-chairs.astro', 'src/pages/home-office-setup.astro', 'src/pages/index.astro'],
-  'B0GFMQMJ47': ['src/pages/best-ergonomic-chairs.astro', 'src/pages/home-office-setup.astro'],
-  'B0FR981Z25': ['src/pages/best-ergonomic-chairs.astro'],
-  'B0F371HFBT': ['src/pages/best-ergonomic-chairs.astro'],
-  'B0D9GWQF84': ['src/pages/best-ergonomic-chairs.astro', 'src/pages/budget-home-office-setup.astro'],
-  'B0DK51HDGB': ['src/pages/budget-home-office-setup.astro'],
-  'B0CFR34FDB': ['src/pages/budget-home-office-setup.astro'],
-  'B004ELA7TA': ['src/pages/budget-home-office-setup.astro'],
-  'B0DTQ9SKYF': ['src/pages/home-office-setup.astro', 'src/pages/index.astro', 'src/pages/best-monitors-home-office.astro'],
-  'B096K7YHPW': ['src/pages/home-office-setup.astro'],
-  'B0FHHV6YR5': ['src/pages/home-office-setup.astro'],
-  'B07L755X9G': ['src/pages/home-office-setup.astro'],
-  // Monitors
-  'B0BY2R4BHW': ['src/pages/best-monitors-home-office.astro'],
-  'B0DPHFHRJM': ['src/pages/best-monitors-home-office.astro'],
-  'B096B3PBFZ': ['src/pages/best-monitors-home-office.astro'],
-  'B08ZS4SX1J': ['src/pages/best-monitors-home-office.astro'],
-  // Headsets
-  'B086M9KHY3': ['src/pages/best-headsets-home-office.astro'],
-  'B000UXZQ42': ['src/pages/best-headsets-home-office.astro'],
-  'B09XS7JWHH': ['src/pages/best-headsets-home-office.astro'],
-  'B071L1F3HM': ['src/pages/best-headsets-home-office.astro'],
-  'B01K6TU90U': ['src/pages/best-headsets-home-office.astro'],
-  // Desk lamps
-  'B0CZ9P1QW9': ['src/pages/best-desk-lamps.astro'],
-  'B0DK59YKRS': ['src/pages/best-desk-lamps.astro'],
-  'B082QHRZFW': ['src/pages/best-desk-lamps.astro'],
-  'B08WT889V3': ['src/pages/best-desk-lamps.astro'],
-  'B0FD9MQF5R': ['src/pages/best-desk-lamps.astro'],
-  // Webcams
-  'B07MM4V7NR': ['src/pages/best-webcams-home-office.astro'],
-  'B01N5UOYC4': ['src/pages/best-webcams-home-office.astro'],
-  'B07W6HPP3T': ['src/pages/best-webcams-home-office.astro'],
-  'B08PKBZ428': ['src/pages/best-webcams-home-office.astro'],
-  'B006RHJUM4': ['src/pages/best-webcams-home-office.astro'],
-};
+// ── Products to track ─────────────────────────────────────────────────────────
 
-// EN ASINs (Amazon.com, USD)
-const EN_ASINS = {
-  'B09TD87W1J': ['src/pages/en/best-standing-desks.astro', 'src/pages/en/home-office-setup.astro', 'src/pages/en/index.astro'],
-  'B087JF3B5S': ['src/pages/en/best-standing-desks.astro', 'src/pages/en/home-office-setup.astro'],
-  'B0BGZB6VZM': ['src/pages/en/best-ergonomic-chairs.astro', 'src/pages/en/home-office-setup.astro', 'src/pages/en/index.astro'],
-  'B0GFMQMJ47': ['src/pages/en/best-ergonomic-chairs.astro'],
-  'B0DTQ9SKYF': ['src/pages/en/home-office-setup.astro', 'src/pages/en/index.astro'],
-  'B096K7YHPW': ['src/pages/en/home-office-setup.astro'],
-  'B0FHHV6YR5': ['src/pages/en/home-office-setup.astro'],
-  'B07L755X9G': ['src/pages/en/home-office-setup.astro'],
-  // Webcams
-  'B07MM4V7NR': ['src/pages/en/best-webcams-home-office.astro'],
-  'B01N5UOYC4': ['src/pages/en/best-webcams-home-office.astro'],
-  'B085TFF7M1': ['src/pages/en/best-webcams-home-office.astro'],
-  'B08PKBZ428': ['src/pages/en/best-webcams-home-office.astro'],
-  'B006RHJUM4': ['src/pages/en/best-webcams-home-office.astro'],
-};
+// Single source of truth shared with the pages and the image downloader.
+// A product is tracked on every marketplace listed in its `markets` block:
+//   fr  → Amazon.fr  (EUR)
+//   com → Amazon.com (USD)
+const CATALOG_PATH = join(DATA_DIR, 'products.json');
+const PRICES_PATH  = join(DATA_DIR, 'prices.json');
+const HISTORY_DIR  = join(DATA_DIR, 'price-history');
+const catalog      = JSON.parse(readFileSync(CATALOG_PATH, 'utf-8'));
+
+/** ASINs tracked on the given marketplace */
+function asinsForMarket(market) {
+  return Object.keys(catalog).filter((asin) => catalog[asin].markets?.[market]);
+}
 
 // ── Amazon Creators API — OAuth2 ──────────────────────────────────────────────
 
+const TOKEN_URL_OVERRIDE = process.env.CREATORS_TOKEN_URL;
+const API_URL            = process.env.CREATORS_API_URL || 'https://creatorsapi.amazon/catalog/v1/getItems';
+
 const CREATORS_API = {
   fr: {
     // v3.x EU credentials → token via api.amazon.co.uk
-    tokenUrl:    'https://api.amazon.co.uk/auth/o2/token',
-    apiUrl:      'https://creatorsapi.amazon/catalog/v1/getItems',
+    tokenUrl:    TOKEN_URL_OVERRIDE || 'https://api.amazon.co.uk/auth/o2/token',
+    apiUrl:      API_URL,
     marketplace: 'www.amazon.fr',
     tag:         TAG_FR,
   },
   com: {
     // For Amazon.com — try US token endpoint
     // Note: if your credentials are EU-only, .com market may be skipped automatically
-    tokenUrl:    'https://api.amazon.com/auth/o2/token',
-    apiUrl:      'https://creatorsapi.amazon/catalog/v1/getItems',
+    tokenUrl:    TOKEN_URL_OVERRIDE || 'https://api.amazon.com/auth/o2/token',
+    apiUrl:      API_URL,
     marketplace: 'www.amazon.com',
     tag:         TAG_EN,
   },
@@ -161,7 +165,7 @@ async function getBearerToken(market) {
 
   if (!res.ok) {
     const txt = await res.text();
-    throw new Error(`Auth failed (${market}): HTTP ${res.status} — ${txt.slice(0, 200)}`);
+    throw apiError(`Auth failed (${market}): HTTP ${res.status} — ${txt.slice(0, 200)}`, `AUTH_${res.status}`);
   }
 
   const data = await res.json();
@@ -172,9 +176,18 @@ async function getBearerToken(market) {
   return tokenCache[market].token;
 }
 
+/** Error carrying a short machine-readable code for the report (HTTP_429, INVALID_JSON…) */
+function apiError(message, code) {
+  return Object.assign(new Error(message), { code });
+}
+
 /**
- * Fetch prices for up to 10 ASINs in one Creators API request.
- * Returns { ASIN: priceNumber, ... }
+ * Fetch offers for up to 10 ASINs in one Creators API request.
+ * Returns {
+ *   offers:   { ASIN: { amount, originalPrice, isPrime, availability }, ... },
+ *   errors:   { ASIN: apiErrorCode, ... }   // per-item errors[] the API attributed to an ASIN
+ *   noOffers: [ASIN, ...]                  // item returned, but no listing to buy from
+ * }
  */
 async function fetchCreatorsPrices(asins, market) {
   const cfg   = CREATORS_API[market];
@@ -192,75 +205,325 @@ async function fetchCreatorsPrices(asins, market) {
       itemIdType:  'ASIN',
       marketplace: cfg.marketplace,
       partnerTag:  cfg.tag,
-      resources:   ['offersV2.listings.price'],
+      resources:   [
+        'offersV2.listings.price',
+        'offersV2.listings.availability',
+        'offersV2.listings.deliveryInfo',
+      ],
     }),
   });
 
+  const txt = await res.text();
   if (!res.ok) {
-    const txt = await res.text();
-    throw new Error(`Creators API ${res.status} (${market}): ${txt.slice(0, 300)}`);
+    throw apiError(`Creators API ${res.status} (${market}): ${txt.slice(0, 300)}`, `HTTP_${res.status}`);
+  }
+
+  let data;
+  try {
+    data = JSON.parse(txt);
+  } catch {
+    throw apiError(`Creators API (${market}): invalid JSON — ${txt.slice(0, 120)}`, 'INVALID_JSON');
   }
 
-  const data   = await res.json();
-  const prices = {};
+  const offers   = {};
+  const errors   = {};
+  const noOffers = [];
 
   for (const item of data.itemsResult?.items ?? []) {
-    const price = item.offersV2?.listings?.[0]?.price?.amount;
-    if (price != null) prices[item.asin] = price;
+    const listing = item.offersV2?.listings?.[0];
+    const amount  = listing?.price?.amount;
+    if (amount == null) {
+      noOffers.push(item.asin);
+      continue;
+    }
+
+    offers[item.asin] = {
+      amount,
+      originalPrice: listing.price.savingBasis?.amount ?? null,
+      isPrime:       listing.deliveryInfo?.isPrimeEligible === true,
+      availability:  normalizeAvailability(listing.availability?.type),
+    };
   }
 
-  // Log items with errors (out of stock, invalid ASIN, etc.)
+  // Log items with errors (out of stock, invalid ASIN, etc.) — the ASIN only appears in the message
   for (const err of data.errors ?? []) {
     console.warn(`    ⚠️  API error ${err.code}: ${err.message}`);
+    const asin = asins.find((a) => err.message?.includes(a));
+    if (asin) errors[asin] = err.code;
   }
 
-  return prices;
+  return { offers, errors, noOffers };
 }
 
-// ── File updater ──────────────────────────────────────────────────────────────
+/**
+ * Store vocabulary (src/lib/prices.ts):
+ *   in_stock | out_of_stock | unavailable (no offer / not sellable) | removed (listing gone) | unknown
+ */
+
+/** Map the Creators API availability type onto the store's vocabulary */
+function normalizeAvailability(type) {
+  if (type === 'IN_STOCK' || type === 'IN_STOCK_SCARCE') return 'in_stock';
+  if (type === 'OUT_OF_STOCK') return 'out_of_stock';
+  return 'unknown';
+}
+
+/** Per-item API error → availability, or null when the error says nothing about the listing */
+function availabilityFromError(code) {
+  if (code === 'InvalidParameterValue' || code === 'ItemNotFound') return 'removed';
+  if (code === 'ItemNotAccessible') return 'unavailable';
+  return null;
+}
 
-function updateFilePrice(filePath, asin, newPrice, currency) {
-  const absPath = join(ROOT, filePath);
-  if (!existsSync(absPath)) {
-    console.warn(`    ⚠️  File not found: ${filePath}`);
-    return false;
+// ── Price store ───────────────────────────────────────────────────────────────
+
+const CURRENCY = { fr: 'EUR', com: 'USD' };
+
+/** Same rounding/format as the rest of the site: « 464€ » / « $489 » */
+function formatAmount(amount, currency) {
+  const rounded = Math.round(amount);
+  return currency === 'USD' ? `$${rounded}` : `${rounded}€`;
+}
+
+function loadPriceStore() {
+  const empty = { version: PRICES_VERSION, updatedAt: null, markets: {} };
+  let store = empty;
+  try {
+    store = JSON.parse(readFileSync(PRICES_PATH, 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (store.version !== PRICES_VERSION) {
+    throw new Error(`prices.json version ${store.version} — this script writes version ${PRICES_VERSION}`);
   }
+  return store;
+}
 
-  const lines   = readFileSync(absPath, 'utf-8').split('\n');
-  let changed   = false;
+const priceStore = loadPriceStore();
 
-  for (let i = 0; i < lines.length; i++) {
-    if (!lines[i].match(/asin\s*:/) || !lines[i].includes(asin)) continue;
+/**
+ * Record a fresh offer for `asin` on `market` in the price store.
+ * The amount only moves when it changed by MIN_CHANGE_PCT or more; Prime,
+ * availability and lastUpdated always reflect the latest observation.
+ * Returns the report row: { status: 'updated' | 'new' | 'unchanged', old, new, changePct, reason }.
+ */
+function updateStoredPrice(asin, market, offer, observedAt) {
+  const currency = CURRENCY[market];
+  const records  = (priceStore.markets[market] ??= {});
+  const previous = records[asin];
+  let amount     = Math.round(offer.amount);
+  let row        = { status: 'new', old: null, new: amount, changePct: null, reason: null };
+
+  if (previous?.amount != null) {
+    const changePct = (Math.abs(offer.amount - previous.amount) / previous.amount) * 100;
+    const signedPct = Number((((offer.amount - previous.amount) / previous.amount) * 100).toFixed(1));
+
+    if (changePct < MIN_CHANGE_PCT) {
+      console.log(`    — ${asin} (${market}): ${previous.priceFormatted} inchangé (Δ ${changePct.toFixed(1)}%)`);
+      amount = previous.amount;
+      row    = { status: 'unchanged', old: previous.amount, new: amount, changePct: signedPct, reason: 'below-threshold' };
+    } else {
+      row = { status: 'updated', old: previous.amount, new: amount, changePct: signedPct, reason: null };
+      console.log(`    ✅ ${asin} (${market}): ${previous.priceFormatted} → ${formatAmount(amount, currency)}  (Δ ${changePct.toFixed(0)}%)`);
+    }
+  } else {
+    console.log(`    ✅ ${asin} (${market}): nouveau prix ${formatAmount(amount, currency)}`);
+  }
+  if (previous && previous.availability !== offer.availability) {
+    console.log(`    🔁 ${asin} (${market}): ${previous.availability} → ${offer.availability}`);
+  }
 
-    for (let j = i + 1; j < Math.min(i + 10, lines.length); j++) {
-      const m = lines[j].match(/^(\s*price\s*:\s*['"`])([^'"`]+)(['"`].*)$/);
-      if (!m) {
-        if (lines[j].match(/asin\s*:/)) break; // next product block
-        continue;
-      }
+  const originalPrice = offer.originalPrice > amount ? Math.round(offer.originalPrice) : null;
+  const savings       = originalPrice != null ? originalPrice - amount : null;
+
+  records[asin] = {
+    amount,
+    currency,
+    priceFormatted:         formatAmount(amount, currency),
+    originalPrice,
+    originalPriceFormatted: originalPrice != null ? formatAmount(originalPrice, currency) : null,
+    savings,
+    savingsFormatted:       savings != null ? formatAmount(savings, currency) : null,
+    isPrime:                offer.isPrime,
+    availability:           offer.availability,
+    lastUpdated:            observedAt,
+    isMock:                 false,
+  };
+  return row;
+}
 
-      const currentStr = m[2];
-      const currentNum = parseFloat(currentStr.replace(/[^0-9.]/g, ''));
-      if (!currentNum || isNaN(currentNum)) break;
+/**
+ * Record that `asin` has no buyable offer on `market` (out of stock, no listing, removed).
+ * The last known price is kept for reference but the cards stop pushing it.
+ * Items never priced get a record with a null amount so the site still knows their status.
+ */
+let availabilityChanges = 0;
+
+function markAvailability(asin, market, availability) {
+  const records  = (priceStore.markets[market] ??= {});
+  const previous = records[asin];
+
+  if (previous?.availability === availability) return;
+  availabilityChanges++;
+  console.log(`    🚫 ${asin} (${market}): ${previous?.availability ?? 'jamais relevé'} → ${availability}`);
+
+  records[asin] = previous
+    ? { ...previous, availability }
+    : {
+        amount: null, currency: CURRENCY[market], priceFormatted: null,
+        originalPrice: null, originalPriceFormatted: null, savings: null, savingsFormatted: null,
+        isPrime: false, availability, lastUpdated: null, isMock: false,
+      };
+}
 
-      const changePct = (Math.abs(newPrice - currentNum) / currentNum) * 100;
+// ── Price history ─────────────────────────────────────────────────────────────
 
-      if (changePct < MIN_CHANGE_PCT) {
-        console.log(`    — ${asin} (${filePath}): ${currentStr} inchangé (Δ ${changePct.toFixed(1)}%)`);
-        break;
-      }
+/** History files touched during this run: { ASIN → { asin, observations[] } } */
+const histories = {};
 
-      const rounded   = Math.round(newPrice);
-      const formatted = currency === '$' ? `$${rounded}` : `${rounded}€`;
-      lines[j]        = `${m[1]}${formatted}${m[3]}`;
-      changed         = true;
-      console.log(`    ✅ ${asin} (${filePath}): ${currentStr} → ${formatted}  (Δ ${changePct.toFixed(0)}%)`);
-      break;
+function loadHistory(asin) {
+  if (histories[asin]) return histories[asin];
+  try {
+    histories[asin] = JSON.parse(readFileSync(join(HISTORY_DIR, `${asin}.json`), 'utf-8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    histories[asin] = { asin, observations: [] };
+  }
+  return histories[asin];
+}
+
+/**
+ * Append today's observation for `asin` on `market` (replaces a same-day entry,
+ * so re-running the workflow manually does not duplicate points).
+ * Raw amounts are kept — the MIN_CHANGE_PCT threshold only applies to the displayed price.
+ */
+function recordObservation(asin, market, offer, day) {
+  const { observations } = loadHistory(asin);
+  const entry = { date: day, market, amount: offer.amount, listPrice: offer.originalPrice ?? null };
+  const index = observations.findIndex((o) => o.date === day && o.market === market);
+
+  if (index >= 0) observations[index] = entry;
+  else observations.push(entry);
+}
+
+/** Pending writes for every history file touched during this run: { path → content } */
+function historyWrites() {
+  return Object.fromEntries(Object.entries(histories).map(([asin, history]) => [
+    join(HISTORY_DIR, `${asin}.json`),
+    JSON.stringify(history, null, 2) + '\n',
+  ]));
+}
+
+// ── Dry run ───────────────────────────────────────────────────────────────────
+
+function readOrEmpty(path) {
+  try {
+    return readFileSync(path, 'utf-8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    return '';
+  }
+}
+
+/** Minimal line-based unified diff (LCS), 3 lines of context — enough for the JSON files we write */
+function unifiedDiff(before, after, label) {
+  const CONTEXT = 3;
+  const a = before === '' ? [] : before.split('\n');
+  const b = after.split('\n');
+  const n = a.length;
+  const m = b.length;
+
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
   }
 
-  if (changed) writeFileSync(absPath, lines.join('\n'), 'utf-8');
-  return changed;
+  const ops = [];
+  for (let i = 0, j = 0; i < n || j < m;) {
+    if (i < n && j < m && a[i] === b[j]) ops.push([' ', a[i++], j++]);
+    else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) ops.push(['-', a[i++]]);
+    else ops.push(['+', b[j++]]);
+  }
+
+  const changes = ops.flatMap((op, k) => (op[0] === ' ' ? [] : [k]));
+  if (changes.length === 0) return '';
+
+  const out = [`--- a/${label}`, `+++ b/${label}`];
+  let k = 0;
+  while (k < changes.length) {
+    let last = k;
+    while (last + 1 < changes.length && changes[last + 1] - changes[last] <= 2 * CONTEXT) last++;
+
+    const start = Math.max(0, changes[k] - CONTEXT);
+    const end   = Math.min(ops.length, changes[last] + CONTEXT + 1);
+    const count = (from, to, types) => ops.slice(from, to).filter((op) => types.includes(op[0])).length;
+    const oldStart = count(0, start, ' -') + 1;
+    const newStart = count(0, start, ' +') + 1;
+
+    out.push(`@@ -${oldStart},${count(start, end, ' -')} +${newStart},${count(start, end, ' +')} @@`);
+    for (const [type, line] of ops.slice(start, end)) out.push(type + line);
+    k = last + 1;
+  }
+  return out.join('\n');
+}
+
+/** Write every pending file, or print the diff of each one with --dry-run */
+function applyWrites(writes) {
+  for (const [path, content] of Object.entries(writes)) {
+    if (DRY_RUN) {
+      const diff = unifiedDiff(readOrEmpty(path), content, join('src/data', relative(DATA_DIR, path)));
+      if (diff) console.log(diff);
+      continue;
+    }
+    mkdirSync(dirname(path), { recursive: true });
+    writeFileSync(path, content, 'utf-8');
+  }
+}
+
+// ── Report ────────────────────────────────────────────────────────────────────
+
+/** One row per ASIN and market: { market, asin, name, status, old, new, changePct, reason, errorCode, availability } */
+const report = [];
+
+function productName(asin) {
+  const { brand, locales } = catalog[asin];
+  return `${brand} ${(locales.fr ?? locales.en).name}`;
+}
+
+function addReportRow(market, asin, row) {
+  report.push({
+    market, asin, name: productName(asin),
+    old: null, new: null, changePct: null, reason: null, errorCode: null, availability: 'unknown',
+    ...row,
+  });
+}
+
+function summarize() {
+  const count = (status) => report.filter((r) => r.status === status).length;
+  return { updated: count('updated') + count('new'), unchanged: count('unchanged'), missing: count('skipped') };
+}
+
+function formatReport(format) {
+  const summary = summarize();
+
+  if (format === 'json') {
+    return JSON.stringify({ date: new Date().toISOString(), dryRun: DRY_RUN, summary, items: report }, null, 2);
+  }
+
+  const money = (market, n) => (n == null ? '—' : CURRENCY[market] === 'USD' ? `$${n}` : `${n}€`);
+  const pct   = (n) => (n == null ? '—' : `${n > 0 ? '+' : ''}${n}%`);
+  const lines = [
+    `**${summary.updated}** mis à jour · **${summary.unchanged}** inchangé(s) · **${summary.missing}** sans prix${DRY_RUN ? ' _(dry run)_' : ''}`,
+    '',
+    '| Marché | ASIN | Produit | Ancien | Nouveau | Δ | Statut | Dispo | Raison / code API |',
+    '|---|---|---|---:|---:|---:|---|---|---|',
+  ];
+  for (const r of report) {
+    const why = [r.reason, r.errorCode && `\`${r.errorCode}\``].filter(Boolean).join(' ');
+    lines.push(`| ${r.market} | ${r.asin} | ${r.name.replaceAll('|', '\\|')} | ${money(r.market, r.old)} | ${money(r.market, r.new)} | ${pct(r.changePct)} | ${r.status} | ${r.availability} | ${why || '—'} |`);
+  }
+  return lines.join('\n');
 }
 
 // ── Batch helper ──────────────────────────────────────────────────────────────
@@ -274,61 +537,107 @@ function chunks(arr, size) {
 
 // ── Main ──────────────────────────────────────────────────────────────────────
 
-async function processMarket(asinMap, market, currency) {
-  const asins   = Object.keys(asinMap);
-  const batches = chunks(asins, 10); // Creators API max 10 ASINs per request
-  let filesUpdated = 0;
+const previousAmount       = (market, asin) => priceStore.markets[market]?.[asin]?.amount ?? null;
+const previousAvailability = (market, asin) => priceStore.markets[market]?.[asin]?.availability ?? 'unknown';
+
+/** Returns { updated, observed }: displayed prices changed / ASINs with a fresh offer */
+async function processMarket(market, currency) {
+  const asins      = asinsForMarket(market);
+  const batches    = chunks(asins, 10); // Creators API max 10 ASINs per request
+  const observedAt = new Date().toISOString();
+  let updated  = 0;
+  let observed = 0;
 
   for (const batch of batches) {
     console.log(`\n  Batch [${batch.join(', ')}]`);
 
-    let prices;
+    let offers, errors, noOffers;
     try {
-      prices = await fetchCreatorsPrices(batch, market);
+      ({ offers, errors, noOffers } = await fetchCreatorsPrices(batch, market));
     } catch (err) {
       console.error(`  ❌ ${err.message}`);
+      for (const asin of batch) {
+        addReportRow(market, asin, {
+          status: 'skipped', old: previousAmount(market, asin), reason: 'request-failed', errorCode: err.code ?? 'REQUEST_FAILED',
+          availability: previousAvailability(market, asin),
+        });
+      }
       continue;
     }
 
     for (const asin of batch) {
-      const price = prices[asin];
-      if (price == null) {
+      const offer = offers[asin];
+      if (offer == null) {
         console.warn(`    ⚠️  ${asin}: pas de prix disponible`);
+        const availability = noOffers.includes(asin) ? 'unavailable' : availabilityFromError(errors[asin]);
+        if (availability) markAvailability(asin, market, availability);
+        addReportRow(market, asin, {
+          status: 'skipped', old: previousAmount(market, asin),
+          reason: errors[asin] ? 'api-error' : 'no-offer', errorCode: errors[asin] ?? null,
+          availability: availability ?? previousAvailability(market, asin),
+        });
         continue;
       }
-      console.log(`    📦 ${asin}: ${currency === '$' ? '$' : ''}${price.toFixed(2)}${currency === '€' ? '€' : ''}`);
+      console.log(`    📦 ${asin}: ${currency === '$' ? '$' : ''}${offer.amount.toFixed(2)}${currency === '€' ? '€' : ''}`);
 
-      for (const file of asinMap[asin]) {
-        if (updateFilePrice(file, asin, price, currency)) filesUpdated++;
-      }
+      observed++;
+      recordObservation(asin, market, offer, observedAt.slice(0, 10));
+      const row = updateStoredPrice(asin, market, offer, observedAt);
+      addReportRow(market, asin, { ...row, availability: offer.availability });
+      if (row.status !== 'unchanged') updated++;
     }
 
     // Polite delay between batches
-    if (batches.length > 1) await new Promise((r) => setTimeout(r, 1000));
+    if (batches.length > 1) await new Promise((r) => setTimeout(r, BATCH_DELAY_MS));
   }
 
-  return filesUpdated;
+  return { updated, observed };
 }
 
 async function main() {
-  console.log('🔄  HomeOffice Price Updater — Amazon Creators API');
+  console.log(`🔄  HomeOffice Price Updater — Amazon Creators API${DRY_RUN ? ' (dry run)' : ''}`);
   console.log(`    Seuil min de changement : ${MIN_CHANGE_PCT}%`);
   console.log(`    Date                    : ${new Date().toISOString().split('T')[0]}\n`);
 
-  let total = 0;
-
   console.log('🇫🇷  Amazon.fr (EUR)');
-  total += await processMarket(FR_ASINS, 'fr', '€');
+  const fr = await processMarket('fr', '€');
 
-  await new Promise((r) => setTimeout(r, 1000));
+  await new Promise((r) => setTimeout(r, BATCH_DELAY_MS));
 
   console.log('\n🇺🇸  Amazon.com (USD)');
-  total += await processMarket(EN_ASINS, 'com', '$');
+  const com = await processMarket('com', '$');
+
+  const total = fr.updated + com.updated;
+  if (fr.observed + com.observed + availabilityChanges > 0) {
+    priceStore.updatedAt = new Date().toISOString();
+    if (DRY_RUN) console.log('\n📝  Dry run — diff de ce qui serait écrit :\n');
+    applyWrites({
+      [PRICES_PATH]: JSON.stringify(priceStore, null, 2) + '\n',
+      ...historyWrites(),
+    });
+  }
+
+  if (REPORT) {
+    const text = formatReport(REPORT) + '\n';
+    if (REPORT_OUT) writeFileSync(REPORT_OUT, text, 'utf-8');
+    else console.log('\n' + text);
+  }
+
+  const { missing } = summarize();
 
   console.log('\n─────────────────────────────────────────────');
-  console.log(`✅  Terminé. ${total} fichier(s) mis à jour.`);
-  if (total > 0) console.log('    Vercel va auto-redéployer après le git push.');
-  else console.log('    Aucun changement de prix — rien à committer.');
+  if (DRY_RUN) {
+    console.log(`📝  Dry run terminé. ${total} prix seraient mis à jour — aucun fichier écrit.`);
+  } else {
+    console.log(`✅  Terminé. ${total} prix mis à jour dans src/data/prices.json.`);
+    if (total > 0) console.log('    Vercel va auto-redéployer après le git push.');
+    else console.log('    Aucun changement de prix affiché (dates de relevé rafraîchies).');
+  }
+
+  if (missing > MAX_MISSING) {
+    console.error(`❌  ${missing} ASIN(s) sans prix (max autorisé : ${MAX_MISSING}).`);
+    process.exitCode = 2;
+  }
 }
 
 main().catch((err) => {
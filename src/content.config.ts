@@ -0,0 +1,366 @@
+/**
+ * content.config.ts — Collections de données du site
+ *
+ * `products` : catalogue produits unique, indexé par ASIN (src/data/products.json).
+ * Lu par les pages (via src/lib/catalog.ts), scripts/update-prices.mjs et
+ * scripts/download-product-images.js — un nouveau produit s'ajoute ici, et nulle part ailleurs.
+ * Ses caractéristiques (`specs`) suivent le schéma de sa catégorie (SPEC_SCHEMAS) : tableaux
+ * comparatifs et page /compare sont générés à partir d'elles.
+ *
+ * `quizzes` : questionnaire « quel modèle pour moi ? » d'une catégorie (src/data/quizzes.json),
+ * indexé par catégorie. Chaque réponse porte des règles sur les données produit (specs, prix, note).
+ *
+ * `faqs` : questions-réponses partagées (src/data/faqs.json), traduites dans chaque locale et
+ * rattachées aux pages qui les affichent (FAQPage de leur JSON-LD, index de recherche).
+ *
+ * `guides` : guides pratiques en Markdown (src/content/guides/<locale>/), un fichier par locale,
+ * reliés entre eux par `translationKey` (identifiant de src/data/routes.json). Sommaire et temps
+ * de lecture sont calculés au build (src/lib/guides.ts), qui vérifie aussi que chaque guide
+ * existe dans toutes les locales de sa route.
+ *
+ * `pages` : contenu des autres pages (src/content/pages/<locale>/<id>.md, id de src/data/routes.json),
+ * rendu par src/pages/[...slug].astro avec le gabarit du `type` de la route. Une page se compose de
+ * sections typées (`pageSection`, rendues par PageSections.astro) ; une page `text` rédige sa prose
+ * en Markdown sous le frontmatter. Le texte des sections peut contenir du HTML (<strong>…).
+ * Un produit s'écrit sur une ligne (`- { asin: B09TD87W1J, rank: 1, badge: pick }`) : c'est sous
+ * cette forme que src/lib/last-modified.ts et les scripts de classement et de pins le trouvent.
+ */
+
+import { defineCollection, z } from 'astro:content';
+import { file, glob } from 'astro/loaders';
+import catalog from './data/products.json';
+import routes from './data/routes.json';
+
+/** Textes éditoriaux d'un produit pour une langue du site */
+const productCopy = z.object({
+  name: z.string(),
+  verdict: z.string(),
+  pros: z.array(z.string()).default([]),
+  cons: z.array(z.string()).default([]),
+});
+
+/**
+ * Présence sur une marketplace Amazon (fr = amazon.fr / EUR, com = amazon.com / USD).
+ * Les prix n'y figurent pas : ils vivent dans src/data/prices.json (écrit par le script de prix).
+ */
+const marketOffer = z.object({
+  rating: z.number().min(0).max(5),
+  reviewCount: z.number().int().nonnegative(),
+});
+
+/**
+ * Caractéristiques techniques par catégorie (unités métriques : cm, kg, dB, W, K…).
+ * La conversion pour l'affichage (pouces, livres) se fait dans src/lib/specs.ts.
+ */
+export const SPEC_SCHEMAS = {
+  desks: z.object({
+    heightMinCm: z.number().positive(),
+    heightMaxCm: z.number().positive(),
+    widthCm: z.number().positive(),
+    depthCm: z.number().positive(),
+    loadKg: z.number().positive(),
+    motors: z.number().int().min(1).max(3),
+    memoryPresets: z.number().int().nonnegative(),
+    noiseDb: z.number().positive(),
+    warrantyYears: z.number().int().positive(),
+  }),
+  chairs: z.object({
+    lumbar: z.enum(['3d', 'adjustable', 'integrated', 'basic', 'none']),
+    headrest: z.boolean(),
+    armrests: z.enum(['4d', '3d', '2d', '1d', 'fixed']),
+    seatMinCm: z.number().positive(),     // Hauteur d'assise (sol → dessus du coussin)
+    seatMaxCm: z.number().positive(),
+    material: z.enum(['mesh', 'fabric', 'leather']),
+    loadKg: z.number().positive(),
+    warrantyYears: z.number().int().positive(),
+  }),
+  monitors: z.object({
+    sizeInch: z.number().positive(),
+    resolution: z.enum(['fhd', 'qhd', '4k', '5k']),
+    panel: z.enum(['ips', 'va', 'oled']),
+    refreshHz: z.number().int().positive(),
+    usbcPowerW: z.number().int().nonnegative(),   // 0 = pas d'alimentation USB-C
+    heightAdjustable: z.boolean(),
+    warrantyYears: z.number().int().positive(),
+  }),
+  webcams: z.object({
+    resolution: z.enum(['720p', '1080p', '2k', '4k']),
+    fps: z.number().int().positive(),
+    fovDeg: z.number().positive(),
+    autofocus: z.boolean(),
+    mics: z.enum(['none', 'mono', 'stereo']),
+    privacyShutter: z.boolean(),
+  }),
+  headsets: z.object({
+    connection: z.enum(['wired', 'bluetooth', 'bluetooth-dongle']),
+    anc: z.boolean(),
+    mic: z.enum(['boom', 'beamforming']),
+    batteryHours: z.number().positive().optional(),   // Sans objet pour un casque filaire
+    teamsCertified: z.boolean(),
+  }),
+  lamps: z.object({
+    type: z.enum(['monitor-bar', 'desk-lamp', 'key-light', 'ring-light']),
+    colorTempMinK: z.number().int().positive(),
+    colorTempMaxK: z.number().int().positive(),
+    autoDimming: z.boolean(),
+    control: z.enum(['remote', 'touch', 'app', 'buttons']),
+    backlight: z.boolean(),
+  }),
+};
+
+const products = defineCollection({
+  loader: file('src/data/products.json'),
+  schema: z.object({
+    brand: z.string(),
+    category: z.enum(['desks', 'chairs', 'monitors', 'headsets', 'lamps', 'webcams', 'accessories']),
+    emoji: z.string().default('📦'),
+    // ASIN promu à sa place sur les cartes quand celui-ci est indisponible
+    fallback: z.string().length(10).optional(),
+    locales: z.object({
+      fr: productCopy.optional(),
+      en: productCopy.optional(),
+    }),
+    markets: z.object({
+      fr: marketOffer.optional(),
+      com: marketOffer.optional(),
+    }),
+    // Validé contre SPEC_SCHEMAS[category] ci-dessous
+    specs: z.record(z.union([z.string(), z.number(), z.boolean()])).optional(),
+  }).superRefine((product, ctx) => {
+    if (!product.specs) return;
+    const schema = SPEC_SCHEMAS[product.category as keyof typeof SPEC_SCHEMAS];
+    if (!schema) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['specs'], message: `No spec schema for category "${product.category}"` });
+      return;
+    }
+    for (const issue of schema.strict().safeParse(product.specs).error?.issues ?? []) {
+      ctx.addIssue({ ...issue, path: ['specs', ...issue.path] });
+    }
+  }),
+});
+
+/** Texte d'un questionnaire, une traduction par locale */
+const localized = z.object({ fr: z.string(), en: z.string() });
+
+/** Seuil fixe, ou par marketplace quand il s'agit d'un prix ({ "fr": 350, "com": 370 }) */
+const threshold = z.union([z.number(), z.object({ fr: z.number(), com: z.number() })]);
+
+/**
+ * Règle d'une réponse : le produit la respecte si `field` (« price », « rating » ou une clé
+ * de ses specs) est dans [min, max], vaut `equals` ou fait partie de `oneOf`.
+ * Respectée : +score et `reason` affichée ; non respectée et `required` : produit écarté.
+ */
+const quizRule = z.object({
+  field: z.string(),
+  min: threshold.optional(),
+  max: threshold.optional(),
+  equals: z.union([z.string(), z.number(), z.boolean()]).optional(),
+  oneOf: z.array(z.union([z.string(), z.number()])).optional(),
+  score: z.number().default(1),
+  required: z.boolean().default(false),
+  reason: localized,
+});
+
+const quizzes = defineCollection({
+  loader: file('src/data/quizzes.json'),
+  schema: z.object({
+    title: localized,
+    questions: z.array(z.object({
+      id: z.string(),
+      text: localized,
+      answers: z.array(z.object({
+        id: z.string(),
+        label: localized,
+        rules: z.array(quizRule).default([]),
+      })).min(2),
+    })).min(1),
+  }),
+});
+
+/** Identifiant de page de src/data/routes.json */
+const routeId = z.string().refine((id) => id in routes, (id) => ({ message: `Unknown route "${id}" — see src/data/routes.json` }));
+
+/** ASIN du catalogue (même message que getProduct) */
+const asin = z.string().refine((id) => id in catalog, (id) => ({ message: `Unknown ASIN ${id} — add it to src/data/products.json` }));
+
+const faqs = defineCollection({
+  loader: file('src/data/faqs.json'),
+  schema: z.object({
+    pages: z.array(routeId).min(1),   // Pages qui affichent la question, dans l'ordre du fichier
+    q: localized,
+    a: localized,
+  }),
+});
+
+export const GUIDE_CATEGORIES = ['ergonomics', 'lighting'] as const;
+
+const guides = defineCollection({
+  loader: glob({ pattern: '*/*.md', base: './src/content/guides' }),
+  schema: z.object({
+    title: z.string(),                        // <title> (la marque est ajoutée par Base)
+    h1: z.string(),
+    description: z.string(),
+    intro: z.string(),
+    emoji: z.string().default('📘'),          // Carte de l'index des guides
+    category: z.enum(GUIDE_CATEGORIES),
+    locale: z.enum(['fr', 'en']),
+    translationKey: routeId,
+    relatedProducts: z.array(asin).default([]),
+    related: z.array(routeId).default([]),    // Comparatifs proposés en fin de guide
+    tip: z.string().optional(),               // Encadré « astuce » de la sidebar
+  }).superRefine((guide, ctx) => {
+    const paths = (routes as Record<string, { paths: Record<string, string> }>)[guide.translationKey]?.paths;
+    if (paths && !paths[guide.locale]) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['translationKey'], message: `Route "${guide.translationKey}" has no "${guide.locale}" path` });
+    }
+    guide.relatedProducts.forEach((id, i) => {
+      const product = (catalog as Record<string, { locales: Record<string, unknown> }>)[id];
+      if (product && !product.locales[guide.locale]) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['relatedProducts', i], message: `ASIN ${id} has no "${guide.locale}" copy in src/data/products.json` });
+      }
+    });
+  }),
+});
+
+// ── Pages ────────────────────────────────────────────────────
+
+/** Produit d'une page : champs de mise en page, le reste vient du catalogue (getProducts) */
+const pagePick = z.object({
+  asin,
+  rank: z.number().int().positive().optional(),
+  badge: z.enum(['pick', 'premium', 'budget', 'new']).optional(),
+  highlight: z.boolean().optional(),
+});
+
+/** Lien vers une autre page du site, par identifiant de route */
+const pageLink = z.object({ route: routeId, label: z.string() });
+
+/** Carte de lien (catégories, guides…) ; `minutes` : temps de lecture affiché */
+const linkCard = z.object({
+  route: routeId,
+  emoji: z.string(),
+  title: z.string(),
+  desc: z.string().optional(),
+  badge: z.string().optional(),
+  tags: z.array(z.string()).default([]),
+  minutes: z.number().int().positive().optional(),
+});
+
+/** Titre de section : `id` = ancre, `toc` = libellé dans le sommaire (BestOf) */
+const heading = {
+  id: z.string().optional(),
+  toc: z.string().optional(),
+  title: z.string(),
+};
+
+/** Section d'une page, rendue par src/components/PageSections.astro selon son `kind` */
+const pageSection = z.discriminatedUnion('kind', [
+  // Encadré en tête de page ; `winner` : lien Amazon vers le n°1 des `picks` de la page
+  z.object({ kind: z.literal('callout'), emoji: z.string(), title: z.string(), text: z.string(), winner: z.boolean().default(false) }),
+  // Tableau comparatif des `picks` (colonnes : SPEC_FIELDS de src/lib/specs.ts)
+  z.object({ kind: z.literal('comparison'), ...heading, columns: z.array(z.string()).min(1), label: z.string() }),
+  // Conseils : grille d'encadrés, cartes, étapes numérotées ou colonnes centrées
+  z.object({
+    kind: z.literal('tips'),
+    ...heading,
+    intro: z.string().optional(),
+    layout: z.enum(['grid', 'cards', 'steps', 'columns']).default('grid'),
+    items: z.array(z.object({
+      emoji: z.string().optional(),
+      title: z.string(),
+      text: z.string().optional(),
+      points: z.array(z.string()).default([]),
+    })).min(1),
+    note: z.string().optional(),
+  }),
+  z.object({ kind: z.literal('calculator'), ...heading, categories: z.array(z.enum(['desks', 'chairs'])).min(1) }),
+  // Cartes produit : `picks` de la section, sinon ceux de la page
+  z.object({
+    kind: z.literal('products'),
+    ...heading,
+    emoji: z.string().optional(),
+    intro: z.string().optional(),
+    note: z.string().optional(),
+    picks: z.array(pagePick).optional(),
+    more: pageLink.optional(),
+  }),
+  // SetupBuilder : presets de src/lib/setups.ts (budget dans la devise de la locale)
+  z.object({
+    kind: z.literal('setups'),
+    ...heading,
+    setups: z.array(z.object({
+      budget: z.number().positive(),
+      title: z.string(),
+      desc: z.string(),
+      color: z.string(),
+      recommended: z.boolean().optional(),
+      picks: z.record(z.enum(['desk', 'chair', 'monitor', 'peripherals', 'lamp']), asin),
+    })).min(1),
+  }),
+  // Paliers de budget rédigés (montants indicatifs, sans lien produit)
+  z.object({
+    kind: z.literal('tiers'),
+    ...heading,
+    tiers: z.array(z.object({
+      label: z.string(),
+      title: z.string(),
+      desc: z.string().optional(),
+      color: z.string().default('bg-oak-50 border-oak-200'),
+      recommended: z.boolean().optional(),
+      items: z.array(z.object({ role: z.string().optional(), name: z.string(), price: z.string().optional() })).min(1),
+      total: z.string().optional(),
+      more: pageLink.optional(),
+    })).min(1),
+  }),
+  // Sélection de l'accueil : carte produit résumée avec lien Amazon
+  z.object({
+    kind: z.literal('picks'),
+    ...heading,
+    intro: z.string().optional(),
+    items: z.array(z.object({ asin, tag: z.string(), label: z.string(), desc: z.string() })).min(1),
+  }),
+  z.object({
+    kind: z.literal('links'),
+    ...heading,
+    intro: z.string().optional(),
+    style: z.enum(['cards', 'tiles']).default('cards'),
+    items: z.array(linkCard).min(1),
+  }),
+  // Guides de la collection `guides`, puis `extra`
+  z.object({ kind: z.literal('guides'), ...heading, intro: z.string().optional(), extra: z.array(linkCard).default([]) }),
+  z.object({
+    kind: z.literal('cta'),
+    emoji: z.string().optional(),
+    badge: z.string().optional(),
+    title: z.string(),
+    text: z.string(),
+    style: z.enum(['dark', 'light']).default('dark'),
+    links: z.array(pageLink).min(1),
+  }),
+  // Questions de src/data/faqs.json rattachées à la page
+  z.object({ kind: z.literal('faq'), title: z.string(), toc: z.string().optional() }),
+  z.object({ kind: z.literal('disclosure'), text: z.string() }),
+]);
+
+const pages = defineCollection({
+  loader: glob({ pattern: '*/*.md', base: './src/content/pages' }),
+  schema: z.object({
+    title: z.string(),                        // <title> (la marque est ajoutée par Base ; « Home » : titre du site)
+    description: z.string(),
+    h1: z.string(),                           // HTML autorisé sur une landing ; {count} = nombre de produits
+    intro: z.string().optional(),
+    badge: z.string().optional(),             // Landing : pastille du hero ({date} = mois de mise à jour)
+    breadcrumb: z.string().optional(),        // Libellé de la page dans le fil d'Ariane
+    picks: z.array(pagePick).default([]),     // Best-of : classement (ItemList, questionnaire, comparatif)
+    links: z.array(pageLink).default([]),     // Landing : boutons du hero
+    stats: z.array(z.object({ value: z.string(), label: z.string() })).default([]),
+    howTo: z.object({                         // Best-of : schéma HowTo du JSON-LD
+      name: z.string(),
+      description: z.string(),
+      steps: z.array(z.object({ name: z.string(), text: z.string() })).min(1),
+    }).optional(),
+    sections: z.array(pageSection).default([]),
+  }),
+});
+
+export const collections = { products, quizzes, faqs, guides, pages };
@@ -0,0 +1,104 @@
+/**
+ * affiliate.ts — Construction des liens affiliés Amazon (un seul endroit)
+ *
+ * Tag par marketplace depuis l'environnement (AFFILIATE_TAG_FR, AFFILIATE_TAG_COM…),
+ * sous-tag optionnel `ascsubtag` par page/emplacement pour savoir quel bloc a converti.
+ * Après le build, scripts/check-affiliate-links.mjs vérifie les liens de dist/.
+ *
+ * Usage:
+ *   amazonUrl('B09TD87W1J', 'fr');
+ *   amazonUrl('B09TD87W1J', MARKET_BY_LANG[lang], { subtag: pageSubtag(Astro.url.pathname, 'quick-winner') });
+ *   amazonCartUrl(['B09TD87W1J', 'B0BGZB6VZM'], 'fr');
+ *   <a href={…} target="_blank" rel={AFFILIATE_REL}>
+ */
+
+import type { Market } from './catalog';
+
+/** Marketplaces Amazon supportées (fr et com sont celles du catalogue) */
+export type Marketplace = Market | 'de' | 'es' | 'it' | 'co.uk';
+
+export const MARKETPLACE_DOMAINS: Record<Marketplace, string> = {
+  fr:      'www.amazon.fr',
+  com:     'www.amazon.com',
+  de:      'www.amazon.de',
+  es:      'www.amazon.es',
+  it:      'www.amazon.it',
+  'co.uk': 'www.amazon.co.uk',
+};
+
+// Accès statiques : Vite ne remplace pas import.meta.env[clé] au build.
+// AFFILIATE_TAG / AFFILIATE_TAG_EN restent acceptés pour fr / com (anciens noms).
+const env = import.meta.env;
+const TAGS: Record<Marketplace, string | undefined> = {
+  fr:      env.AFFILIATE_TAG_FR || env.AFFILIATE_TAG || 'zeroalc-21',
+  com:     env.AFFILIATE_TAG_COM || env.AFFILIATE_TAG_EN || 'zeroalc-21',
+  de:      env.AFFILIATE_TAG_DE,
+  es:      env.AFFILIATE_TAG_ES,
+  it:      env.AFFILIATE_TAG_IT,
+  'co.uk': env.AFFILIATE_TAG_UK,
+};
+
+const ASIN_PATTERN = /^[A-Z0-9]{10}$/;
+
+/**
+ * `rel` de tout lien affilié (pages, composants, contenu des flux) : `sponsored` le déclare aux
+ * moteurs de recherche. Vérifié après le build par scripts/check-affiliate-links.mjs.
+ */
+export const AFFILIATE_REL = 'noopener sponsored';
+
+/** Tag Associates d'une marketplace — échoue au build plutôt que de publier un lien non tagué */
+export function getAffiliateTag(marketplace: Marketplace): string {
+  const tag = TAGS[marketplace];
+  if (!tag) {
+    const name = marketplace === 'co.uk' ? 'UK' : marketplace.toUpperCase();
+    throw new Error(`No affiliate tag for amazon.${marketplace} — set AFFILIATE_TAG_${name}`);
+  }
+  return tag;
+}
+
+/**
+ * Sous-tag d'attribution à partir du chemin de la page et d'un emplacement :
+ * ('/en/best-desk-lamps', 'card-1') → « en-best-desk-lamps_card-1 », ('/', 'hero') → « home_hero »
+ */
+export function pageSubtag(pathname: string, placement?: string): string {
+  const page = pathname.replace(/^\/+|\/+$/g, '').replace(/\//g, '-') || 'home';
+  return [page, placement]
+    .filter(Boolean)
+    .join('_')
+    .toLowerCase()
+    .replace(/[^a-z0-9_-]/g, '')
+    .slice(0, 64);
+}
+
+/** Lien produit affilié : https://www.amazon.fr/dp/<ASIN>?tag=…&linkCode=ogi&th=1&psc=1[&ascsubtag=…] */
+export function amazonUrl(asin: string, marketplace: Marketplace, options: { subtag?: string } = {}): string {
+  if (!ASIN_PATTERN.test(asin)) {
+    throw new Error(`Invalid ASIN "${asin}" in an affiliate link`);
+  }
+  const params = new URLSearchParams({
+    tag: getAffiliateTag(marketplace),
+    linkCode: 'ogi',
+    th: '1',
+    psc: '1',
+  });
+  if (options.subtag) params.set('ascsubtag', options.subtag);
+  return `https://${MARKETPLACE_DOMAINS[marketplace]}/dp/${asin}?${params}`;
+}
+
+/**
+ * Lien « tout ajouter au panier » (formulaire Add-to-Cart d'Amazon) :
+ * https://www.amazon.fr/gp/aws/cart/add.html?AssociateTag=…&ASIN.1=…&Quantity.1=1&ASIN.2=…
+ */
+export function amazonCartUrl(asins: string[], marketplace: Marketplace, options: { subtag?: string } = {}): string {
+  const invalid = asins.find((asin) => !ASIN_PATTERN.test(asin));
+  if (invalid) {
+    throw new Error(`Invalid ASIN "${invalid}" in an affiliate cart link`);
+  }
+  const params = new URLSearchParams({ AssociateTag: getAffiliateTag(marketplace) });
+  asins.forEach((asin, i) => {
+    params.set(`ASIN.${i + 1}`, asin);
+    params.set(`Quantity.${i + 1}`, '1');
+  });
+  if (options.subtag) params.set('ascsubtag', options.subtag);
+  return `https://${MARKETPLACE_DOMAINS[marketplace]}/gp/aws/cart/add.html?${params}`;
+}
@@ -0,0 +1,132 @@
+/**
+ * catalog.ts — Accès au catalogue produits (collection `products`)
+ *
+ * Les pages ne décrivent plus leurs produits : elles listent des ASINs avec leurs
+ * champs de mise en page (rank, badge, highlight…) et récupèrent le reste ici.
+ *
+ * Usage:
+ *   const products = await getProducts([
+ *     { asin: 'B09TD87W1J', rank: 1, badge: 'pick' as const, highlight: true },
+ *   ], 'fr');
+ */
+
+import { getEntry } from 'astro:content';
+import { getPrice, isAvailable } from './prices';
+import { LANGS, LOCALES, t, type Lang } from './i18n';
+
+export type { Lang };
+export type Market = 'fr' | 'com';
+
+/** Marketplace Amazon utilisée par chaque langue du site (src/data/locales.json → market) */
+export const MARKET_BY_LANG = Object.fromEntries(
+  LANGS.map((lang) => [lang, LOCALES[lang].market as Market]),
+) as Record<Lang, Market>;
+
+/**
+ * Formate un montant dans la devise de la locale (src/data/locales.json → currency), comme sur
+ * le reste du site : arrondi, sans séparateur de milliers ni espace (« 464€ » / « $489 »)
+ */
+export function formatPrice(amount: number, lang: Lang): string {
+  const { dateLocale, currency } = LOCALES[lang];
+  return new Intl.NumberFormat(dateLocale, {
+    style: 'currency',
+    currency,
+    currencyDisplay: 'narrowSymbol',
+    maximumFractionDigits: 0,
+    useGrouping: false,
+  }).format(Math.round(amount)).replace(/\s/g, '');
+}
+
+/**
+ * Produit prêt à passer à <ProductCard /> pour la langue demandée.
+ * Échoue au build si l'ASIN est inconnu ou n'a pas de fiche dans cette langue.
+ */
+export async function getProduct(asin: string, lang: Lang) {
+  const entry = await getEntry('products', asin);
+  if (!entry) {
+    throw new Error(`Unknown ASIN ${asin} — add it to src/data/products.json`);
+  }
+
+  const { brand, category, emoji, locales, markets, fallback, specs } = entry.data;
+  const copy = locales[lang];
+  const market = MARKET_BY_LANG[lang];
+  const offer = markets[market];
+  if (!copy || !offer) {
+    throw new Error(`ASIN ${asin} has no "${lang}" copy or market data in src/data/products.json`);
+  }
+  const priceRecord = getPrice(asin, market);
+
+  return {
+    asin,
+    brand,
+    category,
+    name: copy.name,
+    verdict: copy.verdict,
+    pros: copy.pros,
+    cons: copy.cons,
+    img: emoji,
+    price: priceRecord?.priceFormatted ?? t(lang, 'price.fallback'),
+    originalPrice: priceRecord?.originalPriceFormatted ?? undefined,
+    rating: offer.rating,
+    reviewCount: offer.reviewCount,
+    availability: priceRecord?.availability ?? 'unknown',
+    available: isAvailable(priceRecord),
+    fallback,
+    specs,
+  };
+}
+
+export type Product = Awaited<ReturnType<typeof getProduct>>;
+
+/**
+ * Produit de remplacement configuré (`fallback` dans products.json) à promouvoir
+ * quand `asin` est indisponible — null s'il n'y en a pas ou s'il est lui-même indisponible.
+ */
+export async function getAlternative(asin: string, lang: Lang) {
+  const { fallback } = await getProduct(asin, lang);
+  if (!fallback) return null;
+
+  // Une alternative n'a de sens que si elle est vendue sur la même marketplace
+  const entry = await getEntry('products', fallback);
+  if (!entry) {
+    throw new Error(`Fallback ${fallback} of ${asin} is not in src/data/products.json`);
+  }
+  if (!entry.data.locales[lang] || !entry.data.markets[MARKET_BY_LANG[lang]]) return null;
+
+  const alternative = await getProduct(fallback, lang);
+  return alternative.available ? alternative : null;
+}
+
+/**
+ * Remplace chaque produit indisponible par son alternative disponible, en gardant
+ * les champs de mise en page de la sélection (href, badge, tag…). `replaces` = ASIN d'origine.
+ * Les produits sans alternative restent tels quels (à griser par le template).
+ */
+export async function withAlternatives<T extends Product>(products: T[], lang: Lang) {
+  return Promise.all(products.map(async (product) => {
+    const alternative = product.available ? null : await getAlternative(product.asin, lang);
+    return alternative
+      ? { ...product, ...alternative, replaces: product.asin as string | undefined }
+      : { ...product, replaces: undefined as string | undefined };
+  }));
+}
+
+/**
+ * Résout une liste de sélections de page ; les champs de la sélection priment sur le catalogue.
+ * Avertit au build si le n°1 d'une sélection est indisponible sur Amazon.
+ */
+export async function getProducts<T extends { asin: string; rank?: number }>(picks: T[], lang: Lang) {
+  const products = await Promise.all(
+    picks.map(async (pick) => ({ ...(await getProduct(pick.asin, lang)), ...pick })),
+  );
+
+  for (const product of products) {
+    if (product.rank === 1 && !product.available) {
+      console.warn(
+        `⚠️  #1 pick ${product.asin} (${product.brand} ${product.name}) is ${product.availability} on amazon.${MARKET_BY_LANG[lang]}` +
+        (product.fallback ? ` — its card points to fallback ${product.fallback}` : ' — no fallback configured in src/data/products.json'),
+      );
+    }
+  }
+  return products;
+}
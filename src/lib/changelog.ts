@@ -0,0 +1,81 @@
+/**
+ * changelog.ts — Historique des mises à jour d'une page
+ *
+ * Reconstitué au build, sans fichier à tenir à la main :
+ *   - sélection : chaque version git du source de la page (ancien .astro compris) est comparée
+ *     à la précédente (produits ajoutés, retirés, changements de rang) ;
+ *   - fiches : modifications de la fiche d'un produit dans src/data/products.json (verdict, pour/contre…) ;
+ *   - prix : baisses d'au moins MIN_DROP_PCT % d'un relevé à l'autre (src/data/price-history/).
+ * Affiché par <PageChangelog /> en bas des guides d'achat.
+ *
+ * Usage:
+ *   const entries = getChangelog('best-standing-desks', 'fr');
+ *   entries[0]; // { date: '2026-03-02', type: 'rank', asin: 'B09TD87W1J', from: 3, to: 1 }
+ */
+
+import { readFileSync } from 'node:fs';
+import { MARKET_BY_LANG } from './catalog';
+import type { Lang } from './i18n';
+import { getProductEdits, pageProducts, pageRevisions, pageSourceFile } from './last-modified';
+import { MIN_DROP_PCT, getPriceChanges } from './price-history';
+import type { RouteId } from './routes';
+
+export type ChangelogEntry =
+  | { date: string; type: 'added' | 'removed' | 'updated'; asin: string }
+  | { date: string; type: 'rank'; asin: string; from: number; to: number }
+  | { date: string; type: 'price'; asin: string; from: number; to: number; dropPct: number };
+
+/** Ajouts, retraits et changements de rang entre deux versions de la sélection */
+function selectionChanges(
+  date: string,
+  before: { asin: string; rank?: number }[],
+  after: { asin: string; rank?: number }[],
+): ChangelogEntry[] {
+  const previous = new Map(before.map((p) => [p.asin, p]));
+  const current = new Map(after.map((p) => [p.asin, p]));
+  const entries: ChangelogEntry[] = [];
+
+  for (const { asin, rank } of after) {
+    const old = previous.get(asin);
+    if (!old) entries.push({ date, type: 'added', asin });
+    else if (old.rank && rank && old.rank !== rank) entries.push({ date, type: 'rank', asin, from: old.rank, to: rank });
+  }
+  for (const { asin } of before) {
+    if (!current.has(asin)) entries.push({ date, type: 'removed', asin });
+  }
+  return entries;
+}
+
+const cache = new Map<string, ChangelogEntry[]>();
+
+/** Changements datés d'une page dans une locale, du plus récent au plus ancien */
+export function getChangelog(id: RouteId, lang: Lang): ChangelogEntry[] {
+  const key = `${lang}:${id}`;
+  if (!cache.has(key)) {
+    const file = pageSourceFile(id, lang);
+    const entries: ChangelogEntry[] = [];
+
+    if (file) {
+      // Les versions sans produits (avant le catalogue) ne servent pas de référence
+      const versions = pageRevisions(id, lang)
+        .map(({ date, source }) => ({ date: date.slice(0, 10), products: pageProducts(source) }))
+        .filter((version) => version.products.length > 0);
+      for (const [i, version] of versions.entries()) {
+        if (i > 0) entries.push(...selectionChanges(version.date, versions[i - 1].products, version.products));
+      }
+
+      for (const { asin } of pageProducts(readFileSync(file, 'utf-8'))) {
+        // Une entrée par jour de modification de la fiche
+        for (const date of new Set(getProductEdits(asin, lang).map((iso) => iso.slice(0, 10)))) {
+          entries.push({ date, type: 'updated', asin });
+        }
+        for (const change of getPriceChanges(asin, MARKET_BY_LANG[lang])) {
+          if (change.dropPct >= MIN_DROP_PCT) entries.push({ type: 'price', asin, ...change });
+        }
+      }
+    }
+
+    cache.set(key, entries.sort((a, b) => b.date.localeCompare(a.date)));
+  }
+  return cache.get(key)!;
+}
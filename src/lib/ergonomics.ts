@@ -0,0 +1,61 @@
+/**
+ * ergonomics.ts — Hauteurs cibles d'un poste de travail à partir de la taille
+ *
+ * Proportions anthropométriques moyennes, calées sur le tableau de référence du guide
+ * ergonomie (bureau assis ≈ 42 % de la taille, debout ≈ 62,5 %). Règle d'or du guide :
+ * hauteur du coude = hauteur du bureau — une hauteur de coude mesurée remplace donc
+ * l'estimation. Le haut de l'écran se place à hauteur des yeux.
+ * Partagé par <HeightCalculator /> (script client) ; tout est en centimètres.
+ *
+ * Usage:
+ *   ergonomicTargets({ heightCm: 175, posture: 'sitting' });
+ *   // { deskCm: 74, seatCm: 47, monitorTopCm: 124 }
+ *   reaches({ min: 62, max: 127 }, 74);   // true
+ */
+
+export type Posture = 'sitting' | 'standing';
+
+export interface TargetInput {
+  heightCm: number;
+  elbowCm?: number;     // Sol → dessous du coude, bras le long du corps, dans la posture choisie
+  posture: Posture;
+}
+
+export interface Targets {
+  deskCm: number;
+  seatCm: number | null;   // null debout
+  monitorTopCm: number;
+}
+
+/** Bornes acceptées pour la taille saisie (cm) */
+export const HEIGHT_RANGE = { min: 140, max: 210 };
+
+const RATIOS = {
+  deskSitting: 0.42,
+  deskStanding: 0.625,
+  seat: 0.25,            // Hauteur poplitée ; + semelle (SHOE_CM)
+  eyeAboveSeat: 0.44,
+  eyeStanding: 0.935,
+};
+const SHOE_CM = 3;
+
+export function ergonomicTargets({ heightCm, elbowCm, posture }: TargetInput): Targets {
+  const seat = heightCm * RATIOS.seat + SHOE_CM;
+  if (posture === 'standing') {
+    return {
+      deskCm: Math.round(elbowCm ?? heightCm * RATIOS.deskStanding),
+      seatCm: null,
+      monitorTopCm: Math.round(heightCm * RATIOS.eyeStanding),
+    };
+  }
+  return {
+    deskCm: Math.round(elbowCm ?? heightCm * RATIOS.deskSitting),
+    seatCm: Math.round(seat),
+    monitorTopCm: Math.round(seat + heightCm * RATIOS.eyeAboveSeat),
+  };
+}
+
+/** Un produit réglable entre min et max (cm) atteint-il la hauteur cible ? */
+export function reaches(range: { min: number; max: number }, targetCm: number): boolean {
+  return targetCm >= range.min && targetCm <= range.max;
+}
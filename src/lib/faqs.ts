@@ -0,0 +1,21 @@
+/**
+ * faqs.ts — FAQ partagées entre les pages (collection `faqs`, src/data/faqs.json)
+ *
+ * Une question est écrite une seule fois, dans toutes les locales (le schéma refuse une
+ * traduction manquante), et listée dans `pages` par chaque page qui l'affiche : comparatif,
+ * guide… La section #faq (FaqSection), le FAQPage du JSON-LD et l'index de recherche la lisent ici.
+ *
+ * Usage:
+ *   const faq = await getPageFaqs('best-standing-desks', 'fr'); // [{ q, a }], ordre du fichier
+ */
+
+import { getCollection } from 'astro:content';
+import type { Lang } from './i18n';
+import type { RouteId } from './routes';
+import type { FaqItem } from './structured-data';
+
+/** Questions d'une page dans une locale, dans l'ordre de src/data/faqs.json */
+export async function getPageFaqs(id: RouteId, lang: Lang): Promise<FaqItem[]> {
+  const entries = await getCollection('faqs', (entry) => entry.data.pages.includes(id));
+  return entries.map(({ data }) => ({ q: data.q[lang], a: data.a[lang] }));
+}
@@ -0,0 +1,262 @@
+/**
+ * feeds.ts — Flux Atom et JSON Feed construits au build, un jeu par locale
+ *
+ * Trois sortes de flux, chacun en /feeds/<flux>.xml (Atom) et /feeds/<flux>.json (JSON Feed 1.1) :
+ *   - all          : guides et comparatifs, une entrée par mise à jour (date de last-modified) ;
+ *   - <catégorie>  : comparatifs qui listent des produits de la catégorie, et ses baisses de prix ;
+ *   - price-drops  : produits dont le dernier relevé de prix est une baisse d'au moins MIN_DROP_PCT.
+ * Les entrées portent image, prix (prices.json) et liens affiliés construits par affiliate.ts
+ * (sous-tag du flux, rel AFFILIATE_REL), suivis de la mention Amazon Associates.
+ *
+ * Usage:
+ *   feedPath('desks');                        // /feeds/desks.xml
+ *   await feedResponse('price-drops', 'en', 'json');
+ */
+
+import { readFileSync } from 'node:fs';
+import { getCollection } from 'astro:content';
+import { amazonUrl, pageSubtag, AFFILIATE_REL } from './affiliate';
+import { formatPrice, getProduct, MARKET_BY_LANG, type Product } from './catalog';
+import { LOCALES, t, type Lang } from './i18n';
+import { getProductImage } from './images';
+import { getLastModified, pageProducts, pageSourceFile } from './last-modified';
+import { ogImagePath } from './og-image';
+import { getPriceChanges, getPriceHistory, MIN_DROP_PCT } from './price-history';
+import { localeUrl, ROUTES, sitemapRoutes, type RouteId } from './routes';
+import { trackAttrs } from './tracking';
+
+/** Catégories qui ont leur flux (les accessoires n'ont pas de comparatif dédié) */
+export const FEED_CATEGORIES = ['desks', 'chairs', 'monitors', 'webcams', 'lamps', 'headsets'] as const;
+
+export type FeedCategory = (typeof FEED_CATEGORIES)[number];
+export type FeedId = 'all' | 'price-drops' | FeedCategory;
+export type FeedFormat = 'xml' | 'json';
+
+export const FEED_IDS: FeedId[] = ['all', ...FEED_CATEGORIES, 'price-drops'];
+
+const MAX_ITEMS = 50;
+const MAX_PRODUCTS_PER_PAGE = 10;
+
+interface FeedItem {
+  id: string;
+  url: string;
+  title: string;
+  summary: string;
+  contentHtml: string;
+  image?: string;            // URL absolue
+  date: string;              // YYYY-MM-DD
+  tags: string[];
+}
+
+/** Chemin public d'un flux (identique sur les deux domaines) */
+export function feedPath(feed: FeedId, format: FeedFormat = 'xml'): string {
+  return `/feeds/${feed}.${format}`;
+}
+
+/** Flux d'une locale, pour getStaticPaths des endpoints /feeds/[feed].xml et .json */
+export function feedStaticPaths() {
+  return FEED_IDS.map((feed) => ({ params: { feed } }));
+}
+
+export function isFeedCategory(category: string | null | undefined): category is FeedCategory {
+  return (FEED_CATEGORIES as readonly string[]).includes(category ?? '');
+}
+
+/** Titre d'un flux (<link rel="alternate" title>, <title> du flux) */
+export function feedTitle(feed: FeedId, lang: Lang): string {
+  const { brand } = LOCALES[lang];
+  if (isFeedCategory(feed)) return t(lang, 'feeds.category', { category: t(lang, `categories.${feed}`), brand });
+  return t(lang, feed === 'all' ? 'feeds.all' : 'feeds.priceDrops', { brand });
+}
+
+export const escapeXml = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// ── Entrées ──────────────────────────────────────────────────
+
+interface ContentPage {
+  id: RouteId;
+  url: string;
+  products: Product[];
+  cards: boolean;            // La page affiche des ProductCard (ancres #product-<ASIN>)
+}
+
+/** Guides et comparatifs publiés d'une locale, avec leurs produits dans l'ordre du source */
+async function contentPages(lang: Lang): Promise<ContentPage[]> {
+  const pages = await Promise.all(sitemapRoutes(lang).map(async ({ id }) => {
+    const { type } = ROUTES[id];
+    const file = pageSourceFile(id, lang);
+    if (!file || (type !== 'best-of' && type !== 'guide')) return null;
+    const source = readFileSync(file, 'utf-8');
+    const products = await Promise.all(pageProducts(source).map(({ asin }) => getProduct(asin, lang)));
+    return { id, url: localeUrl(id, lang), products, cards: type === 'best-of' };
+  }));
+  return pages.filter((page): page is ContentPage => page !== null);
+}
+
+/** Image locale d'un produit en URL absolue */
+function productImage(asin: string, lang: Lang): string | undefined {
+  const image = getProductImage(asin);
+  return image && `${LOCALES[lang].origin}${image.src}`;
+}
+
+/** Bloc HTML d'un produit : image, nom, prix et lien affilié tagué au nom du flux */
+function productHtml(product: Product, feed: FeedId, lang: Lang): string {
+  const name = `${product.brand} ${product.name}`;
+  const href = amazonUrl(product.asin, MARKET_BY_LANG[lang], {
+    subtag: pageSubtag(`${LOCALES[lang].prefix}/feeds/${feed}`, 'feed'),
+  });
+  const attrs = Object.entries(trackAttrs({ placement: 'feed', asin: product.asin, name, price: product.price }))
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join('');
+  const image = productImage(product.asin, lang);
+  return [
+    image ? `<img src="${image}" alt="${escapeXml(name)}" width="160">` : '',
+    `<p><strong>${escapeXml(name)}</strong> — ${escapeXml(product.price)}</p>`,
+    `<p><a href="${escapeXml(href)}" rel="${AFFILIATE_REL}"${attrs}>${escapeXml(t(lang, 'card.viewOnAmazon'))}</a></p>`,
+  ].join('');
+}
+
+const disclosureHtml = (lang: Lang) => `<p><small>${escapeXml(t(lang, 'footer.associates'))}</small></p>`;
+
+/** Une entrée par page, datée de sa dernière mise à jour (nouvel id à chaque mise à jour) */
+function pageItem(page: ContentPage, products: Product[], feed: FeedId, lang: Lang): FeedItem {
+  const date = getLastModified(page.id, lang).toISOString().split('T')[0];
+  const summary = t(lang, `pages.${page.id}.desc`);
+  return {
+    id: `${page.url}#${date}`,
+    url: page.url,
+    title: t(lang, `pages.${page.id}.title`),
+    summary,
+    contentHtml: [
+      `<p>${escapeXml(summary)}</p>`,
+      ...products.slice(0, MAX_PRODUCTS_PER_PAGE).map((product) => productHtml(product, feed, lang)),
+      products.length ? disclosureHtml(lang) : '',
+    ].join(''),
+    image: `${LOCALES[lang].origin}${ogImagePath(page.id)}`,
+    date,
+    tags: [...new Set(products.map((product) => t(lang, `categories.${product.category}`)))],
+  };
+}
+
+/**
+ * Baisses de prix du dernier relevé, liées à la carte du produit sur la première page qui l'affiche.
+ * Une baisse suivie d'un autre relevé (remontée, prix stable) ou un produit indisponible n'y figure plus.
+ */
+async function priceDropItems(pages: ContentPage[], feed: FeedId, lang: Lang): Promise<FeedItem[]> {
+  const market = MARKET_BY_LANG[lang];
+  const entries = (await getCollection('products'))
+    .filter((entry) => entry.data.locales[lang] && entry.data.markets[market]);
+
+  return entries.flatMap((entry) => {
+    const change = getPriceChanges(entry.id, market).at(-1);
+    const page = pages.find((p) => p.cards && p.products.some((product) => product.asin === entry.id));
+    if (!change || change.dropPct < MIN_DROP_PCT || !page) return [];
+    if (change.date !== getPriceHistory(entry.id, market).at(-1)!.date) return [];
+    if (isFeedCategory(feed) && entry.data.category !== feed) return [];
+
+    const product = page.products.find((p) => p.asin === entry.id)!;
+    if (!product.available) return [];
+    const name = `${product.brand} ${product.name}`;
+    const url = `${page.url}#product-${product.asin}`;
+    const summary = t(lang, 'feeds.priceDrop', {
+      name, from: formatPrice(change.from, lang), to: formatPrice(change.to, lang), pct: change.dropPct,
+    });
+    return [{
+      id: `${url}@${change.date}`,
+      url,
+      title: summary,
+      summary,
+      contentHtml: `<p>${escapeXml(summary)}</p>${productHtml(product, feed, lang)}${disclosureHtml(lang)}`,
+      image: productImage(product.asin, lang),
+      date: change.date,
+      tags: [t(lang, `categories.${product.category}`)],
+    }];
+  });
+}
+
+/** Entrées d'un flux, les plus récentes d'abord */
+async function feedItems(feed: FeedId, lang: Lang): Promise<FeedItem[]> {
+  const pages = await contentPages(lang);
+  let items: FeedItem[];
+
+  if (feed === 'all') {
+    items = pages.map((page) => pageItem(page, page.products, feed, lang));
+  } else if (feed === 'price-drops') {
+    items = await priceDropItems(pages, feed, lang);
+  } else {
+    // Comparatif de la catégorie : seuls ses produits de cette catégorie figurent dans l'entrée
+    items = [
+      ...pages.flatMap((page) => {
+        const products = page.products.filter((product) => product.category === feed);
+        return products.length ? [pageItem(page, products, feed, lang)] : [];
+      }),
+      ...(await priceDropItems(pages, feed, lang)),
+    ];
+  }
+
+  return items.sort((a, b) => b.date.localeCompare(a.date)).slice(0, MAX_ITEMS);
+}
+
+// ── Formats ──────────────────────────────────────────────────
+
+export async function feedXml(feed: FeedId, lang: Lang): Promise<string> {
+  const { origin, brand, htmlLang } = LOCALES[lang];
+  const items = await feedItems(feed, lang);
+  const feedUrl = `${origin}${feedPath(feed)}`;
+  const updated = items[0]?.date ?? new Date().toISOString().split('T')[0];
+
+  const entries = items.map((item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <id>${escapeXml(item.id)}</id>
+    <link href="${escapeXml(item.url)}"/>
+${item.image ? `    <link rel="enclosure" href="${escapeXml(item.image)}" type="image/${item.image.endsWith('.png') ? 'png' : 'jpeg'}"/>\n` : ''}    <updated>${item.date}T00:00:00Z</updated>
+${item.tags.map((tag) => `    <category term="${escapeXml(tag)}"/>`).join('\n')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.contentHtml)}</content>
+  </entry>`);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${htmlLang}">
+  <title>${escapeXml(feedTitle(feed, lang))}</title>
+  <subtitle>${escapeXml(t(lang, 'site.tagline'))}</subtitle>
+  <id>${feedUrl}</id>
+  <link rel="self" href="${feedUrl}"/>
+  <link rel="alternate" href="${origin}/"/>
+  <updated>${updated}T00:00:00Z</updated>
+  <author><name>${escapeXml(brand)}</name></author>
+${entries.join('\n')}
+</feed>`;
+}
+
+export async function feedJson(feed: FeedId, lang: Lang): Promise<string> {
+  const { origin, htmlLang } = LOCALES[lang];
+  const items = await feedItems(feed, lang);
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feedTitle(feed, lang),
+    description: t(lang, 'site.tagline'),
+    home_page_url: `${origin}/`,
+    feed_url: `${origin}${feedPath(feed, 'json')}`,
+    language: htmlLang,
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml,
+      ...(item.image && { image: item.image }),
+      date_modified: `${item.date}T00:00:00Z`,
+      tags: item.tags,
+    })),
+  }, null, 2);
+}
+
+export async function feedResponse(feed: FeedId, lang: Lang, format: FeedFormat): Promise<Response> {
+  const body = format === 'json' ? await feedJson(feed, lang) : await feedXml(feed, lang);
+  return new Response(body, {
+    headers: {
+      'Content-Type': format === 'json' ? 'application/feed+json; charset=utf-8' : 'application/atom+xml; charset=utf-8',
+    },
+  });
+}
@@ -0,0 +1,153 @@
+/**
+ * guides.ts — Guides pratiques (collection `guides`, src/content/guides/<locale>/<slug>.md)
+ *
+ * Un guide existe dans chaque locale où sa route (`translationKey`, src/data/routes.json) a un
+ * chemin : une traduction manquante — ou une route guide-* sans guide — fait échouer le build.
+ * Le slug de la page vient de routes.json, pas du nom de fichier. Sommaire (titres ##) et
+ * temps de lecture sont calculés ici ; l'index /guides est généré depuis la collection.
+ * Les produits insérés dans le texte (`<product-card>`…) sont vérifiés contre le catalogue.
+ *
+ * Usage:
+ *   const guides = await getGuides('fr');             // ordre de routes.json
+ *   const { toc, minutes } = renderGuide(guide);
+ *   const blocks = await guideBlocks(guide);          // HTML et composants, pour GuideContent.astro
+ */
+
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { getProduct } from './catalog';
+import { LANGS, type Lang } from './i18n';
+import { ROUTES, type RouteId } from './routes';
+
+export type Guide = CollectionEntry<'guides'>;
+
+const WORDS_PER_MINUTE = 200;
+
+/** Vérifie, une fois par build, que chaque guide est traduit dans toutes les locales de sa route */
+let checked = false;
+function checkTranslations(guides: Guide[]): void {
+  if (checked) return;
+  const keys = new Set<RouteId>([
+    ...guides.map((guide) => guide.data.translationKey as RouteId),
+    ...(Object.keys(ROUTES) as RouteId[]).filter((id) => id.startsWith('guide-')),
+  ]);
+  for (const key of keys) {
+    for (const lang of LANGS.filter((l) => ROUTES[key].paths[l])) {
+      const found = guides.filter((guide) => guide.data.translationKey === key && guide.data.locale === lang);
+      if (found.length !== 1) {
+        throw new Error(found.length
+          ? `Guide "${key}" has ${found.length} "${lang}" files — keep one in src/content/guides/${lang}/`
+          : `Guide "${key}" has no "${lang}" translation — add it to src/content/guides/${lang}/`);
+      }
+    }
+  }
+  checked = true;
+}
+
+/** Guides d'une locale, dans l'ordre de routes.json */
+export async function getGuides(lang: Lang): Promise<Guide[]> {
+  const guides = await getCollection('guides');
+  checkTranslations(guides);
+  const order = Object.keys(ROUTES);
+  return guides
+    .filter((guide) => guide.data.locale === lang)
+    .sort((a, b) => order.indexOf(a.data.translationKey) - order.indexOf(b.data.translationKey));
+}
+
+export async function getGuide(id: RouteId, lang: Lang): Promise<Guide | undefined> {
+  return (await getGuides(lang)).find((guide) => guide.data.translationKey === id);
+}
+
+/** Minutes de lecture du texte Markdown (balises HTML et syntaxe retirées) */
+export function readingTime(body: string): number {
+  const words = body
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\{#[\w-]+\}/g, ' ')
+    .replace(/[#*_>|`[\]()-]+/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean).length;
+  return Math.max(1, Math.round(words / WORDS_PER_MINUTE));
+}
+
+/** Sommaire (titres de niveau 2) et temps de lecture d'un guide ; le corps : guideBlocks() */
+export function renderGuide(guide: Guide) {
+  const headings = guide.rendered?.metadata?.headings ?? [];
+  return {
+    toc: headings.filter((heading) => heading.depth === 2).map(({ slug, text }) => ({ id: slug, label: text })),
+    minutes: readingTime(guide.body ?? ''),
+  };
+}
+
+// ── Composants insérés dans le Markdown ──────────────────────
+
+/**
+ * Le Markdown n'exécute pas de composants : un guide les place avec un élément vide sur
+ * une ligne (blocs) ou dans une phrase (prix), remplacé par GuideContent.astro :
+ *   <height-calculator></height-calculator>
+ *   <product-card asin="B0BGZB6VZM"></product-card>
+ *   <product-price asin="B0BGZB6VZM">BenQ ScreenBar</product-price>
+ *   <product-compare asins="B0BGZB6VZM,B082QHRZFW"></product-compare>
+ */
+export type GuideBlock =
+  | { kind: 'html'; html: string }
+  | { kind: 'height-calculator' }
+  | { kind: 'product-card'; asin: string }
+  | { kind: 'product-price'; asin: string; label: string }
+  | { kind: 'product-compare'; asins: string[] };
+
+const INLINE_TAGS = ['product-price'];
+const COMPARE_SIZE = { min: 2, max: 3 };
+// Seul sur sa ligne, un élément est rendu dans un <p> : retiré avec lui, sauf pour un prix
+const SHORTCODE = /(<p>)?<(height-calculator|product-card|product-price|product-compare)((?:\s+[\w-]+="[^"]*")*)\s*>([\s\S]*?)<\/\2>(<\/p>)?/g;
+
+/**
+ * Découpe le HTML rendu d'un guide en morceaux de HTML et composants. Échoue au build,
+ * avec le fichier du guide, si un ASIN est inconnu ou sans fiche dans la locale du guide.
+ */
+export async function guideBlocks(guide: Guide): Promise<GuideBlock[]> {
+  const lang = guide.data.locale as Lang;
+  const html = guide.rendered?.html ?? '';
+  const fail = (message: string): never => {
+    throw new Error(`${guide.filePath}: ${message}`);
+  };
+
+  const blocks: GuideBlock[] = [];
+  let pending = '';
+  const flush = () => {
+    if (pending) blocks.push({ kind: 'html', html: pending });
+    pending = '';
+  };
+  let last = 0;
+  for (const match of html.matchAll(SHORTCODE)) {
+    const [source, open = '', tag, attrs, content, close = ''] = match;
+    const attr = (name: string) => attrs.match(new RegExp(`\\s${name}="([^"]*)"`))?.[1]?.trim() ?? '';
+    const keepParagraph = INLINE_TAGS.includes(tag) || !(open && close);
+
+    pending += html.slice(last, match.index) + (keepParagraph ? open : '');
+    last = match.index! + source.length;
+    flush();
+
+    if (tag === 'height-calculator') {
+      blocks.push({ kind: tag });
+    } else if (tag === 'product-compare') {
+      const asins = attr('asins').split(',').map((asin) => asin.trim()).filter(Boolean);
+      if (asins.length < COMPARE_SIZE.min || asins.length > COMPARE_SIZE.max) {
+        fail(`<product-compare> takes ${COMPARE_SIZE.min} to ${COMPARE_SIZE.max} ASINs, got "${attr('asins')}"`);
+      }
+      if (new Set(asins).size !== asins.length) {
+        fail(`<product-compare> lists the same ASIN twice, got "${attr('asins')}"`);
+      }
+      blocks.push({ kind: tag, asins });
+    } else {
+      const asin = attr('asin') || fail(`<${tag}> needs an asin="…" attribute`);
+      blocks.push(tag === 'product-card' ? { kind: tag, asin } : { kind: tag, asin, label: content.trim() });
+    }
+    pending += keepParagraph ? close : '';
+  }
+  pending += html.slice(last);
+  flush();
+
+  // Tous les ASINs cités doivent être au catalogue, avec une fiche dans la locale du guide
+  const asins = blocks.flatMap((b) => ('asins' in b ? b.asins : 'asin' in b ? [b.asin] : []));
+  await Promise.all(asins.map((asin) => getProduct(asin, lang).catch((error: Error) => fail(error.message))));
+  return blocks;
+}
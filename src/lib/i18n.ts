@@ -0,0 +1,85 @@
+/**
+ * i18n.ts — Locales du site et dictionnaire de traduction
+ *
+ * Une locale = une entrée dans src/data/locales.json (domaine, préfixe dans dist/,
+ * marketplace Amazon, formats) + un dictionnaire src/data/i18n/<lang>.json.
+ * Layouts et composants ne contiennent plus de texte en dur : ils passent par t().
+ *
+ * Usage:
+ *   const t = useTranslations('en');
+ *   t('bestOf.updated', { date: 'February 26, 2026' }); // « Updated February 26, 2026 »
+ */
+
+import locales from '../data/locales.json';
+
+export type Lang = keyof typeof locales;
+
+export interface LocaleConfig {
+  label: string;        // Nom dans le sélecteur de langue (« Français »)
+  short: string;        // « FR »
+  htmlLang: string;     // <html lang>
+  hreflang: string;
+  ogLocale: string;
+  dateLocale: string;   // Intl (toLocaleDateString…)
+  units: 'metric' | 'imperial';   // Affichage des caractéristiques (cm/kg ou pouces/lb)
+  origin: string;       // Domaine servi (https://homeofficesetup.pro)
+  prefix: string;       // Préfixe des pages dans dist/ et des endpoints dans src/pages ('' ou '/en')
+  market: string;       // Marketplace Amazon (clé de products.json → markets)
+  currency: string;     // Devise de la marketplace (ISO 4217 : EUR, USD)
+  brand: string;
+  tld: string;
+  xDefault?: boolean;   // Version servie aux langues sans traduction (hreflang x-default)
+}
+
+export const LOCALES = locales as Record<Lang, LocaleConfig>;
+export const LANGS = Object.keys(LOCALES) as Lang[];
+export const DEFAULT_LANG: Lang = 'fr';
+
+type Dictionary = { [key: string]: string | Dictionary };
+
+const dictionaries = Object.fromEntries(
+  Object.entries(
+    import.meta.glob<Dictionary>('../data/i18n/*.json', { eager: true, import: 'default' }),
+  ).map(([path, dict]) => [path.match(/([\w-]+)\.json$/)![1], dict]),
+) as Record<Lang, Dictionary>;
+
+for (const lang of LANGS) {
+  if (!dictionaries[lang]) {
+    throw new Error(`Locale "${lang}" has no dictionary — add src/data/i18n/${lang}.json`);
+  }
+}
+
+/** Locale d'une page d'après son chemin dans dist/ (« /en/guides » → en, « /guides » → fr) */
+export function getLangFromPath(pathname: string): Lang {
+  const prefixed = LANGS.find((lang) => {
+    const { prefix } = LOCALES[lang];
+    return prefix && (pathname === prefix || pathname.startsWith(`${prefix}/`));
+  });
+  return prefixed ?? DEFAULT_LANG;
+}
+
+/** Traduction d'une clé « section.clé », avec remplacement des {variables} — échoue au build si absente */
+export function t(lang: Lang, key: string, vars: Record<string, string | number> = {}): string {
+  const value = key.split('.').reduce<string | Dictionary | undefined>(
+    (node, part) => (typeof node === 'object' ? node[part] : undefined),
+    dictionaries[lang],
+  );
+  if (typeof value !== 'string') {
+    throw new Error(`Missing translation "${key}" in src/data/i18n/${lang}.json`);
+  }
+  return value.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+/** t() liée à une locale, pour les composants */
+export function useTranslations(lang: Lang) {
+  return (key: string, vars?: Record<string, string | number>) => t(lang, key, vars);
+}
+
+/** Date au format de la locale (« 26 février 2026 », « February 26, 2026 »), en UTC */
+export function formatDate(
+  date: Date,
+  lang: Lang,
+  options: Intl.DateTimeFormatOptions = { day: 'numeric', month: 'long', year: 'numeric' },
+): string {
+  return date.toLocaleDateString(LOCALES[lang].dateLocale, { ...options, timeZone: 'UTC' });
+}
@@ -0,0 +1,42 @@
+/**
+ * images.ts — Images produits locales (src/data/product-images.json)
+ *
+ * Le mapping est écrit par scripts/download-product-images.js : dimensions de
+ * l'original, couleur dominante, placeholder flou et variantes AVIF/WebP.
+ * Un ASIN absent du mapping n'a pas d'image : <ProductImage /> affiche l'emoji.
+ *
+ * Usage:
+ *   const image = getProductImage('B09TD87W1J');
+ *   image?.sources.avif; // [{ src: '/products/B09TD87W1J-240.avif', width: 240 }, …]
+ */
+
+import mapping from '../data/product-images.json';
+
+export interface ImageSource {
+  src: string;
+  width: number;
+}
+
+export interface ProductImageData {
+  src: string;                  // Original .jpg (fallback du <picture>)
+  width: number;
+  height: number;
+  color: string;                // Couleur dominante (#rrggbb), fond pendant le chargement
+  placeholder: string;          // data:image/webp;base64,… (~16 px de large)
+  sources: {
+    avif: ImageSource[];
+    webp: ImageSource[];
+  };
+}
+
+const images = mapping as Record<string, ProductImageData>;
+
+/** Image locale d'un ASIN, ou undefined si scripts/download-product-images.js ne l'a pas récupérée */
+export function getProductImage(asin: string): ProductImageData | undefined {
+  return images[asin];
+}
+
+/** Valeur d'attribut srcset : « /products/X-240.avif 240w, /products/X-480.avif 480w » */
+export function toSrcset(sources: ImageSource[]): string {
+  return sources.map((s) => `${s.src} ${s.width}w`).join(', ');
+}
@@ -0,0 +1,187 @@
+/**
+ * last-modified.ts — Date de dernière modification réelle d'une page
+ *
+ * Prend la plus récente de :
+ *   - la date du dernier commit git qui a touché le fichier source de la page (texte, sélection),
+ *   - la dernière modification de la fiche rédigée d'un produit de la page dans src/data/products.json
+ *     (nom, verdict, pour/contre de la locale),
+ *   - le dernier changement de prix d'un produit de la page sur sa marketplace (price-history/).
+ * Sans l'une ni l'autre (fichier non versionné, pas de git au build), la date du build.
+ * Un clone superficiel (shallow) daterait chaque fichier du seul commit récupéré : l'historique git
+ * est alors ignoré, et la CI doit cloner tout l'historique (fetch-depth: 0, deploy.yml).
+ * Alimente « Mis à jour le … » (BestOf, sommaire, guides), le sitemap, l'image OG et dateModified.
+ *
+ * Usage:
+ *   getLastModified('guide-ergonomics', 'en'); // Date
+ *   formatDate(getLastModified('best-standing-desks', 'fr'), 'fr'); // « 19 octobre 2026 »
+ */
+
+import { execFileSync } from 'node:child_process';
+import { existsSync, readdirSync, readFileSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { MARKET_BY_LANG } from './catalog';
+import { LOCALES, type Lang } from './i18n';
+import { getPriceChanges } from './price-history';
+import { localePath, type RouteId } from './routes';
+
+const PAGES_DIR = join(process.cwd(), 'src/content/pages');
+const LEGACY_PAGES_DIR = join(process.cwd(), 'src/pages');
+const GUIDES_DIR = join(process.cwd(), 'src/content/guides');
+const PRODUCTS_FILE = join(process.cwd(), 'src/data/products.json');
+const BUILD_DATE = new Date();
+
+/** Guide Markdown d'une page (src/content/guides/<lang>/*.md dont `translationKey` est l'id), ou null */
+function guideSourceFile(id: RouteId, lang: Lang): string | null {
+  const dir = join(GUIDES_DIR, lang);
+  if (!existsSync(dir)) return null;
+  const key = new RegExp(`^translationKey:\\s*${id}\\s*$`, 'm');
+  const file = readdirSync(dir)
+    .filter((name) => name.endsWith('.md'))
+    .find((name) => key.test(readFileSync(join(dir, name), 'utf-8')));
+  return file ? join(dir, file) : null;
+}
+
+/** Fichier source d'une page : page rédigée (src/content/pages/<lang>/<id>.md) ou guide Markdown, ou null */
+export function pageSourceFile(id: RouteId, lang: Lang): string | null {
+  const file = join(PAGES_DIR, lang, `${id}.md`);
+  return existsSync(file) ? file : guideSourceFile(id, lang);
+}
+
+/** Anciens fichiers .astro de la page sous src/pages (avant src/content/pages), pour leur historique git */
+function legacySourceFiles(id: RouteId, lang: Lang): string[] {
+  const path = `${LOCALES[lang].prefix}${localePath(id, lang)}`.replace(/\/$/, '');
+  return [`${path}.astro`, `${path}/index.astro`].map((p) => join(LEGACY_PAGES_DIR, p));
+}
+
+/**
+ * Produits listés dans le source d'une page (`{ asin: B09TD87W1J, rank: 1, … }`, guillemets ou non, ou `relatedProducts: […]`
+ * et éléments `<product-card asin="…">`… d'un guide Markdown), dans l'ordre, sans doublon
+ */
+export function pageProducts(source: string): { asin: string; rank?: number }[] {
+  const products = new Map<string, { asin: string; rank?: number }>();
+  for (const [, asin, rest] of source.matchAll(/\{\s*asin:\s*'?([A-Z0-9]{10})'?([^}]*)\}/g)) {
+    const rank = rest.match(/\brank:\s*(\d+)/)?.[1];
+    if (!products.has(asin)) products.set(asin, { asin, ...(rank && { rank: Number(rank) }) });
+  }
+  const related = [
+    source.match(/^relatedProducts:\s*\[([^\]]*)\]/m)?.[1] ?? '',
+    ...[...source.matchAll(/<product-[a-z]+\s[^>]*\basins?="([^"]*)"/g)].map(([, asins]) => asins),
+  ].join(' ');
+  for (const [asin] of related.matchAll(/[A-Z0-9]{10}/g)) {
+    if (!products.has(asin)) products.set(asin, { asin });
+  }
+  return [...products.values()];
+}
+
+let shallow: boolean | null = null;
+
+/** Historique git incomplet (clone superficiel) : ses dates seraient fausses, on ne s'en sert pas */
+function isShallowRepo(): boolean {
+  if (shallow === null) {
+    try {
+      shallow = execFileSync('git', ['rev-parse', '--is-shallow-repository'], { encoding: 'utf-8' }).trim() === 'true';
+    } catch {
+      shallow = false;
+    }
+    if (shallow) {
+      console.warn('⚠️  Shallow git clone — page dates fall back to price history or the build date (use fetch-depth: 0)');
+    }
+  }
+  return shallow;
+}
+
+/** Date du dernier commit touchant le fichier, ou null hors git ou dans un clone superficiel */
+function gitDate(file: string): Date | null {
+  if (isShallowRepo()) return null;
+  try {
+    const iso = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], { encoding: 'utf-8' }).trim();
+    return iso ? new Date(iso) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Versions commitées d'un fichier (date ISO du commit), de la plus ancienne à la plus récente
+ * ([] hors git ou dans un clone superficiel). Un fichier supprimé garde ses versions d'avant la suppression.
+ */
+export function fileRevisions(file: string): { date: string; source: string }[] {
+  if (isShallowRepo()) return [];
+  const git = (...args: string[]) => execFileSync('git', args, { encoding: 'utf-8', maxBuffer: 16 * 1024 * 1024 });
+  const path = `./${relative(process.cwd(), file)}`;
+  try {
+    return git('log', '--diff-filter=d', '--format=%H %cI', '--', file).trim().split('\n').filter(Boolean).reverse()
+      .map((line) => {
+        const [hash, date] = line.split(' ');
+        return { date, source: git('show', `${hash}:${path}`) };
+      });
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Versions commitées du source d'une page, de la plus ancienne à la plus récente : celles de son
+ * ancien fichier .astro, puis celles de son fichier actuel
+ */
+export function pageRevisions(id: RouteId, lang: Lang): { date: string; source: string }[] {
+  const file = pageSourceFile(id, lang);
+  return [...legacySourceFiles(id, lang), ...(file ? [file] : [])]
+    .flatMap((path) => fileRevisions(path))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Fiche rédigée d'un produit dans une locale : marque, nom, verdict, pour/contre. Les changements de
+ * structure du catalogue (prix, images, specs déplacés ou ajoutés) ne comptent pas comme une mise à jour.
+ */
+function localeCopy(entry: Record<string, any> | undefined, lang: Lang): string | null {
+  const copy = entry?.locales?.[lang];
+  return copy ? JSON.stringify({ brand: entry!.brand, ...copy }) : null;
+}
+
+let catalogVersions: { date: string; catalog: Record<string, Record<string, any>> }[] | null = null;
+
+/**
+ * Dates ISO des commits qui ont modifié la fiche rédigée d'un produit dans une locale (src/data/products.json),
+ * de la plus ancienne à la plus récente — l'ajout du produit au catalogue n'en fait pas partie
+ */
+export function getProductEdits(asin: string, lang: Lang): string[] {
+  catalogVersions ??= fileRevisions(PRODUCTS_FILE).map(({ date, source }) => ({ date, catalog: JSON.parse(source) }));
+  return catalogVersions.slice(1).flatMap(({ date, catalog }, i) => {
+    const before = localeCopy(catalogVersions![i].catalog[asin], lang);
+    const after = localeCopy(catalog[asin], lang);
+    return before && after && before !== after ? [date] : [];
+  });
+}
+
+/** Dernier changement de prix des produits de la page sur la marketplace de la locale */
+function priceDate(source: string, lang: Lang): Date | null {
+  const dates = pageProducts(source)
+    .flatMap(({ asin }) => getPriceChanges(asin, MARKET_BY_LANG[lang]))
+    .map((change) => change.date)
+    .sort();
+  return dates.length ? new Date(dates[dates.length - 1]) : null;
+}
+
+/** Dernière modification de la fiche catalogue d'un produit de la page */
+function productDate(source: string, lang: Lang): Date | null {
+  const dates = pageProducts(source).flatMap(({ asin }) => getProductEdits(asin, lang)).sort();
+  return dates.length ? new Date(dates[dates.length - 1]) : null;
+}
+
+const cache = new Map<string, Date>();
+
+/** Dernière modification d'une page dans une locale */
+export function getLastModified(id: RouteId, lang: Lang): Date {
+  const key = `${lang}:${id}`;
+  if (!cache.has(key)) {
+    const file = pageSourceFile(id, lang);
+    const source = file && readFileSync(file, 'utf-8');
+    const dates = file && source
+      ? [gitDate(file), productDate(source, lang), priceDate(source, lang)].filter((d): d is Date => d !== null)
+      : [];
+    cache.set(key, dates.length ? new Date(Math.max(...dates.map((d) => d.getTime()))) : BUILD_DATE);
+  }
+  return cache.get(key)!;
+}
@@ -0,0 +1,151 @@
+/**
+ * og-image.ts — Images Open Graph / Twitter générées au build (1200×630 PNG)
+ *
+ * Une image par page et par locale : H1 de la page (ou son titre du dictionnaire pour une page
+ * générée : comparateur, recherche, plan du site), catégorie des produits listés, images des 3 premiers produits
+ * disponibles, date de dernière modification et marque du site. Le SVG est rasterisé
+ * par sharp ; servi en /og/<id>.png sur chaque domaine (src/pages/og, src/pages/en/og).
+ * Base.astro s'en sert comme og:image quand la page ne passe pas d'`image`.
+ *
+ * Usage:
+ *   ogImagePath('best-standing-desks');          // '/og/best-standing-desks.png'
+ *   await ogImageResponse('best-standing-desks', 'fr');
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import sharp from 'sharp';
+import { getProduct } from './catalog';
+import { getGuide } from './guides';
+import { getProductImage } from './images';
+import { getLastModified, pageProducts, pageSourceFile } from './last-modified';
+import { LOCALES, formatDate, t, type Lang } from './i18n';
+import { fillCount, getPage, WRITTEN_TYPES } from './pages';
+import { ROUTES, type RouteId } from './routes';
+
+export const OG_WIDTH = 1200;
+export const OG_HEIGHT = 630;
+
+const MAX_PRODUCTS = 3;
+
+// Palette Warm Oak (tailwind.config.mjs)
+const COLORS = { cream: '#FAF7F2', ink: '#1A1208', muted: '#6B5A48', oak: '#E8D9BF', electric: '#E8621A' };
+
+/** Chemin public de l'image d'une page (identique sur les deux domaines) */
+export function ogImagePath(id: RouteId): string {
+  return `/og/${id}.png`;
+}
+
+/** Pages d'une locale, pour getStaticPaths des endpoints /og/[id].png */
+export function ogStaticPaths(lang: Lang) {
+  return (Object.keys(ROUTES) as RouteId[])
+    .filter((id) => ROUTES[id].paths[lang])
+    .map((id) => ({ params: { id } }));
+}
+
+// ── Données de la page ───────────────────────────────────────
+
+/** Image produit locale (public/products), null si absente */
+function imageFile(asin: string): string | null {
+  const image = getProductImage(asin);
+  const file = image && join(process.cwd(), 'public', image.src);
+  return file && existsSync(file) ? file : null;
+}
+
+const stripTags = (html: string) => html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+
+/** H1 de la page rédigée ({count} rempli, sans balises) ou du guide, null pour une page générée */
+async function pageHeading(id: RouteId, lang: Lang): Promise<string | null> {
+  if (WRITTEN_TYPES.includes(ROUTES[id].type)) {
+    const page = await getPage(id, lang);
+    return stripTags(fillCount(page.data.h1, page));
+  }
+  return (await getGuide(id, lang))?.data.h1 ?? null;
+}
+
+async function pageData(id: RouteId, lang: Lang) {
+  const file = pageSourceFile(id, lang);
+  const source = file ? readFileSync(file, 'utf-8') : '';
+  const products = await Promise.all(pageProducts(source).map(({ asin }) => getProduct(asin, lang)));
+  const categories = new Set(products.map((p) => p.category));
+
+  return {
+    heading: (await pageHeading(id, lang)) ?? t(lang, `pages.${id}.title`),
+    // Une seule catégorie listée → son nom ; sinon guide générique
+    kicker: categories.size === 1 ? t(lang, `categories.${[...categories][0]}`) : t(lang, 'og.guide'),
+    asins: products.filter((p) => p.available && imageFile(p.asin)).map((p) => p.asin).slice(0, MAX_PRODUCTS),
+    updated: t(lang, 'og.updated', { date: formatDate(getLastModified(id, lang), lang) }),
+  };
+}
+
+// ── Rendu ────────────────────────────────────────────────────
+
+const escapeXml = (text: string) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function wrap(text: string, maxChars: number): string[] {
+  const lines: string[] = [];
+  for (const word of text.split(/\s+/)) {
+    const last = lines.at(-1);
+    if (last && `${last} ${word}`.length <= maxChars) lines[lines.length - 1] = `${last} ${word}`;
+    else lines.push(word);
+  }
+  return lines;
+}
+
+/** Titre sur 3 lignes max dans la colonne de gauche (~0.68 em par caractère, 600 px) */
+function headingSvg(heading: string): string {
+  for (const size of [64, 56, 48, 40]) {
+    const lines = wrap(heading, Math.floor(600 / (size * 0.68)));
+    if (lines.length <= 3) {
+      const tspans = lines.map((line, i) => `<tspan x="72" dy="${i ? Math.round(size * 1.15) : 0}">${escapeXml(line)}</tspan>`).join('');
+      return `<text x="72" y="230" font-family="Syne, DM Sans, sans-serif" font-size="${size}" font-weight="700" fill="${COLORS.ink}">${tspans}</text>`;
+    }
+  }
+  return headingSvg(`${heading.slice(0, 80).trimEnd()}…`);
+}
+
+/** Cadres des images produit dans la colonne de droite, selon leur nombre */
+const FRAMES: Record<number, [number, number, number, number][]> = {
+  1: [[730, 80, 400, 470]],
+  2: [[730, 80, 400, 225], [730, 325, 400, 225]],
+  3: [[730, 80, 400, 225], [730, 325, 190, 225], [940, 325, 190, 225]],
+};
+
+function productsSvg(asins: string[]): string {
+  if (!asins.length) {
+    // Pas d'image produit (guides, pages utilitaires) : monogramme du site
+    return `<rect x="730" y="80" width="400" height="470" rx="32" fill="${COLORS.electric}"/>`
+      + `<text x="930" y="365" text-anchor="middle" font-family="Syne, DM Sans, sans-serif" font-size="160" font-weight="700" fill="#FFFFFF">HO</text>`;
+  }
+  return asins.map((asin, i) => {
+    const [x, y, w, h] = FRAMES[asins.length][i];
+    const data = readFileSync(imageFile(asin)!).toString('base64');
+    return `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="24" fill="#FFFFFF" stroke="${COLORS.oak}" stroke-width="2"/>`
+      + `<image href="data:image/jpeg;base64,${data}" x="${x + 16}" y="${y + 16}" width="${w - 32}" height="${h - 32}" preserveAspectRatio="xMidYMid meet"/>`;
+  }).join('');
+}
+
+/** SVG 1200×630 d'une page */
+export async function ogImageSvg(id: RouteId, lang: Lang): Promise<string> {
+  const { heading, kicker, asins, updated } = await pageData(id, lang);
+  const locale = LOCALES[lang];
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_WIDTH}" height="${OG_HEIGHT}" viewBox="0 0 ${OG_WIDTH} ${OG_HEIGHT}">
+  <rect width="${OG_WIDTH}" height="${OG_HEIGHT}" fill="${COLORS.cream}"/>
+  <rect width="${OG_WIDTH}" height="10" fill="${COLORS.electric}"/>
+  <text x="72" y="130" font-family="DM Sans, sans-serif" font-size="26" font-weight="600" letter-spacing="4" fill="${COLORS.electric}">${escapeXml(kicker.toUpperCase())}</text>
+  ${headingSvg(heading)}
+  <text x="72" y="490" font-family="DM Sans, sans-serif" font-size="26" fill="${COLORS.muted}">${escapeXml(updated)}</text>
+  <rect x="72" y="526" width="48" height="48" rx="10" fill="${COLORS.electric}"/>
+  <text x="96" y="559" text-anchor="middle" font-family="Syne, DM Sans, sans-serif" font-size="20" font-weight="700" fill="#FFFFFF">HO</text>
+  <text x="136" y="559" font-family="Syne, DM Sans, sans-serif" font-size="28" font-weight="700" fill="${COLORS.ink}">${escapeXml(locale.brand)}</text>
+  ${productsSvg(asins)}
+</svg>`;
+}
+
+/** Réponse PNG de l'endpoint /og/[id].png */
+export async function ogImageResponse(id: RouteId, lang: Lang): Promise<Response> {
+  const png = await sharp(Buffer.from(await ogImageSvg(id, lang))).png({ compressionLevel: 9 }).toBuffer();
+  return new Response(new Uint8Array(png), { headers: { 'Content-Type': 'image/png' } });
+}
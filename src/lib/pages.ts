@@ -0,0 +1,93 @@
+/**
+ * pages.ts — Pages rédigées (collection `pages`, src/content/pages/<locale>/<id>.md)
+ *
+ * Chaque route de src/data/routes.json de type landing, best-of ou text a un fichier par locale
+ * où elle a un chemin : un fichier manquant — ou un fichier sans route — fait échouer le build.
+ * src/pages/[...slug].astro génère toutes les pages du site depuis routes.json (pageStaticPaths),
+ * les guides compris ; le gabarit dépend du `type` de la route.
+ *
+ * Usage:
+ *   const page = await getPage('best-standing-desks', 'en');
+ *   fillCount(page.data.h1, page);           // « The 5 Best Standing Desks in 2026 »
+ */
+
+import { getCollection, type CollectionEntry } from 'astro:content';
+import { getGuide } from './guides';
+import { LANGS, LOCALES, type Lang } from './i18n';
+import { ROUTES, type RouteId, type RouteType } from './routes';
+
+export type Page = CollectionEntry<'pages'>;
+export type PageSection = Page['data']['sections'][number];
+
+/** Types de route dont le contenu est rédigé dans la collection `pages` */
+export const WRITTEN_TYPES: RouteType[] = ['landing', 'best-of', 'text'];
+
+const routeIds = Object.keys(ROUTES) as RouteId[];
+
+/** Vérifie, une fois par build, que pages et routes se correspondent une à une */
+let checked = false;
+function checkPages(pages: Page[]): void {
+  if (checked) return;
+  for (const page of pages) {
+    const [lang, id] = page.id.split('/') as [Lang, RouteId];
+    if (!ROUTES[id]?.paths[lang] || !WRITTEN_TYPES.includes(ROUTES[id].type)) {
+      throw new Error(`${page.filePath}: no "${lang}" route of type ${WRITTEN_TYPES.join('/')} named "${id}" in src/data/routes.json`);
+    }
+  }
+  for (const id of routeIds.filter((key) => WRITTEN_TYPES.includes(ROUTES[key].type))) {
+    for (const lang of LANGS.filter((l) => ROUTES[id].paths[l])) {
+      if (!pages.some((page) => page.id === `${lang}/${id}`)) {
+        throw new Error(`Page "${id}" has no "${lang}" content — add src/content/pages/${lang}/${id}.md`);
+      }
+    }
+  }
+  checked = true;
+}
+
+export async function getPage(id: RouteId, lang: Lang): Promise<Page> {
+  const pages = await getCollection('pages');
+  checkPages(pages);
+  const page = pages.find((entry) => entry.id === `${lang}/${id}`);
+  if (!page) {
+    throw new Error(`Route "${id}" (${ROUTES[id].type}) has no content page — see src/content/pages/`);
+  }
+  return page;
+}
+
+/** ASINs affichés par la page (classement et sections), sans doublon */
+export function pageAsins(page: Page): string[] {
+  const picks = [
+    ...page.data.picks,
+    ...page.data.sections.flatMap((section) => (section.kind === 'products' ? section.picks ?? [] : [])),
+  ];
+  return [...new Set(picks.map((pick) => pick.asin))];
+}
+
+/** Remplace {count} (nombre de produits de la page) dans un texte de la page */
+export function fillCount(text: string, page: Page): string {
+  return text.replaceAll('{count}', String(pageAsins(page).length));
+}
+
+/**
+ * Toutes les pages du site dans toutes les locales, pour getStaticPaths de src/pages/[...slug].astro.
+ * Le slug reprend le chemin de la locale sous son préfixe de dist/ (« en/guides/ergonomics »).
+ */
+export async function pageStaticPaths() {
+  const paths = LANGS.flatMap((lang) => routeIds
+    .filter((id) => ROUTES[id].paths[lang])
+    .map(async (id) => {
+      const { type } = ROUTES[id];
+      const slug = `${LOCALES[lang].prefix}${ROUTES[id].paths[lang]}`.replace(/^\/+|\/+$/g, '');
+      return {
+        params: { slug: slug || undefined },
+        props: {
+          id,
+          lang,
+          type,
+          page: WRITTEN_TYPES.includes(type) ? await getPage(id, lang) : undefined,
+          guide: type === 'guide' ? await getGuide(id, lang) : undefined,
+        },
+      };
+    }));
+  return Promise.all(paths);
+}
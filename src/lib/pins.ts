@@ -0,0 +1,48 @@
+/**
+ * pins.ts — Pins Pinterest de la semaine (src/data/pins.json)
+ *
+ * Le manifeste est écrit par scripts/generate-pins.mjs (une pin 1000×1500 par page et
+ * par locale) et publié par scripts/publish-pins.mjs. Le site s'en sert comme og:image
+ * secondaire des pages et comme média du bouton « Épingler » des cartes produit.
+ *
+ * Usage:
+ *   const pin = getPagePin('best-standing-desks', 'fr');
+ *   pin?.image; // '/pins/fr/best-standing-desks.jpg'
+ */
+
+import manifest from '../data/pins.json';
+import { LOCALES, type Lang } from './i18n';
+import type { RouteId } from './routes';
+
+export interface Pin {
+  id: string;
+  page: string;
+  lang: string;
+  asin: string;              // Produit mis en avant (n°1 disponible de la page)
+  image: string;             // /pins/<lang>/<page>.jpg
+  width: number;
+  height: number;
+  title: string;
+  description: string;
+  link: string;              // URL de la page, avec paramètres utm
+  board: string;
+  publishAt: string;         // ISO 8601
+  status: 'scheduled' | 'published' | 'failed';
+}
+
+const pins = manifest.pins as Pin[];
+
+/** Pin d'une page dans une locale, ou undefined si la page n'est pas épinglée */
+export function getPagePin(id: RouteId, lang: Lang): Pin | undefined {
+  return pins.find((pin) => pin.page === id && pin.lang === lang);
+}
+
+/** Lien « Enregistrer » Pinterest pour une image de la page `url` */
+export function pinItUrl({ url, media, description }: { url: string; media: string; description: string }, lang: Lang): string {
+  const params = new URLSearchParams({
+    url,
+    media: media.startsWith('/') ? `${LOCALES[lang].origin}${media}` : media,
+    description,
+  });
+  return `https://www.pinterest.com/pin/create/button/?${params}`;
+}
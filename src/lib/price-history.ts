@@ -0,0 +1,109 @@
+/**
+ * price-history.ts — Historique des prix (src/data/price-history/<ASIN>.json)
+ *
+ * scripts/update-prices.mjs ajoute une observation par ASIN, marketplace et jour.
+ * On en tire au build les signaux affichés par <PriceTrend /> : « prix le plus bas
+ * depuis 30/90 jours », « −X % depuis la semaine dernière » et la sparkline.
+ *
+ * Usage:
+ *   const trend = getPriceTrend('B09TD87W1J', 'fr');
+ *   trend?.lowestInDays; // 90 | 30 | null (l'historique doit couvrir la fenêtre)
+ */
+
+import type { Market } from './catalog';
+
+export interface PriceObservation {
+  date: string;              // YYYY-MM-DD (jour du relevé, UTC)
+  market: Market;
+  amount: number;
+  listPrice: number | null;  // Prix barré affiché par Amazon ce jour-là
+}
+
+interface PriceHistoryFile {
+  asin: string;
+  observations: PriceObservation[];
+}
+
+export interface PriceTrend {
+  points: PriceObservation[];   // Observations des 90 derniers jours, triées
+  current: number;
+  lowestInDays: 30 | 90 | null; // Plus bas sur la fenêtre la plus large qui s'applique
+  dropPct: number | null;       // Baisse vs le relevé d'il y a ≥ 6 jours (arrondie)
+}
+
+export interface PriceChange {
+  date: string;              // Jour du relevé au nouveau prix
+  from: number;
+  to: number;
+  dropPct: number;           // Baisse arrondie (négative pour une hausse)
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Pas de badge « plus bas » sans assez de relevés pour que ça veuille dire quelque chose */
+const MIN_POINTS_FOR_LOWEST = 3;
+
+/** Au-delà, le dernier relevé ne dit plus rien du prix actuel : ni badge ni baisse */
+const MAX_STALE_DAYS = 7;
+
+/** Baisses plus petites ignorées — même seuil que le script de prix */
+export const MIN_DROP_PCT = 3;
+
+const files = import.meta.glob<PriceHistoryFile>('../data/price-history/*.json', {
+  eager: true,
+  import: 'default',
+});
+
+const historyByAsin = new Map(Object.values(files).map((file) => [file.asin, file.observations]));
+
+/** Relevés d'un ASIN sur une marketplace, du plus ancien au plus récent */
+export function getPriceHistory(asin: string, market: Market): PriceObservation[] {
+  return (historyByAsin.get(asin) ?? [])
+    .filter((o) => o.market === market)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/** Changements de prix d'un relevé au suivant, du plus ancien au plus récent */
+export function getPriceChanges(asin: string, market: Market): PriceChange[] {
+  const history = getPriceHistory(asin, market);
+  return history.slice(1)
+    .map((o, i) => ({ date: o.date, from: history[i].amount, to: o.amount }))
+    .filter((c) => c.from !== c.to)
+    .map((c) => ({ ...c, dropPct: Math.round(((c.from - c.to) / c.from) * 100) }));
+}
+
+/** Signaux d'historique à la date du build, ou null si moins de deux relevés */
+export function getPriceTrend(asin: string, market: Market, now = new Date()): PriceTrend | null {
+  return priceTrend(getPriceHistory(asin, market), now);
+}
+
+/** Signaux d'historique de relevés triés (getPriceHistory) à la date `now` */
+export function priceTrend(history: PriceObservation[], now = new Date()): PriceTrend | null {
+  const since = (days: number) => history
+    .filter((o) => now.getTime() - Date.parse(o.date) <= days * DAY_MS);
+
+  const points = since(90);
+  if (points.length < 2) return null;
+
+  const last = points[points.length - 1];
+  const current = last.amount;
+  const stale = now.getTime() - Date.parse(last.date) > MAX_STALE_DAYS * DAY_MS;
+
+  // « Plus bas depuis N jours » exige un historique qui remonte à N jours avant le dernier relevé
+  const covers = (days: number) => Date.parse(last.date) - Date.parse(history[0].date) >= days * DAY_MS;
+  const isLowest = (window: PriceObservation[], days: number) =>
+    covers(days) && window.length >= MIN_POINTS_FOR_LOWEST && window.every((o) => current <= o.amount);
+
+  const lowestInDays = stale ? null : isLowest(points, 90) ? 90 : isLowest(since(30), 30) ? 30 : null;
+
+  const weekAgo = [...points].reverse()
+    .find((o) => Date.parse(last.date) - Date.parse(o.date) >= 6 * DAY_MS);
+  const drop = weekAgo ? Math.round(((weekAgo.amount - current) / weekAgo.amount) * 100) : 0;
+
+  return {
+    points,
+    current,
+    lowestInDays,
+    dropPct: !stale && drop >= MIN_DROP_PCT ? drop : null,
+  };
+}
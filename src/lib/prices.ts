@@ -0,0 +1,71 @@
+/**
+ * prices.ts — Lecture du store de prix (src/data/prices.json)
+ *
+ * Le fichier est écrit par scripts/update-prices.mjs (une entrée par ASIN et par
+ * marketplace) et lu au build : ProductCard, PriceDisplay et les tableaux comparatifs
+ * n'affichent jamais un prix saisi à la main.
+ *
+ * Usage:
+ *   const record = getPrice('B09TD87W1J', 'fr');
+ *   record?.priceFormatted; // « 464€ »
+ */
+
+import store from '../data/prices.json';
+import type { Market } from './catalog';
+
+/** Version du format de prices.json — à incrémenter avec scripts/update-prices.mjs */
+export const PRICES_VERSION = 2;
+
+/**
+ * in_stock / out_of_stock : d'après l'offre Amazon
+ * unavailable             : plus d'offre achetable (fiche présente mais vide, ou non accessible)
+ * removed                 : fiche retirée / ASIN invalide
+ * unknown                 : jamais vérifié
+ */
+export type Availability = 'in_stock' | 'out_of_stock' | 'unavailable' | 'removed' | 'unknown';
+
+export interface PriceRecord {
+  amount: number | null;             // null = jamais relevé (le statut est connu, pas le prix)
+  currency: 'EUR' | 'USD';
+  priceFormatted: string | null;
+  originalPrice: number | null;      // Prix barré (savingBasis Amazon)
+  originalPriceFormatted: string | null;
+  savings: number | null;
+  savingsFormatted: string | null;
+  isPrime: boolean;
+  availability: Availability;
+  lastUpdated: string | null;        // ISO 8601 — dernier prix relevé via l'API
+  isMock: boolean;                   // true = prix indicatif, pas encore confirmé par l'API
+}
+
+interface PriceStore {
+  version: number;
+  updatedAt: string;
+  markets: Partial<Record<Market, Record<string, PriceRecord>>>;
+}
+
+const prices = store as PriceStore;
+
+if (prices.version !== PRICES_VERSION) {
+  throw new Error(
+    `src/data/prices.json is version ${prices.version}, expected ${PRICES_VERSION} — re-run scripts/update-prices.mjs`,
+  );
+}
+
+/** Prix connu pour un ASIN sur une marketplace, ou undefined si jamais relevé */
+export function getPrice(asin: string, market: Market): PriceRecord | undefined {
+  return prices.markets[market]?.[asin];
+}
+
+/** Statuts pour lesquels on ne pousse plus l'achat (carte grisée, notice « indisponible ») */
+const UNAVAILABLE: Availability[] = ['out_of_stock', 'unavailable', 'removed'];
+
+/** true tant que rien n'indique que le produit ne peut pas être acheté */
+export function isAvailable(record: PriceRecord | undefined): boolean {
+  return !record || !UNAVAILABLE.includes(record.availability);
+}
+
+/** true si la fiche Amazon n'existe plus ou n'a plus d'offre : le lien mènerait à une impasse */
+export function isDeadListing(record: PriceRecord | undefined): boolean {
+  return record?.availability === 'unavailable' || record?.availability === 'removed';
+}
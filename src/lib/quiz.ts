@@ -0,0 +1,64 @@
+/**
+ * quiz.ts — Questionnaire « quel modèle pour moi ? » des pages best-of (src/data/quizzes.json)
+ *
+ * Résout le questionnaire d'une catégorie pour une locale : textes traduits, seuils de
+ * prix de la marketplace, et faits de chaque produit de la page (prix relevé, note, specs)
+ * sur lesquels le script de <ProductQuiz /> évalue les règles côté client.
+ * Une règle sur un champ inconnu de la catégorie fait échouer le build.
+ *
+ * Usage:
+ *   const quiz = await resolveQuiz(products, 'fr');   // null si la catégorie n'a pas de quiz
+ *   quiz?.questions[0].answers[0].rules;              // [{ field: 'heightMinCm', max: 65, … }]
+ */
+
+import { getCollection, getEntry } from 'astro:content';
+import { SPEC_SCHEMAS } from '../content.config';
+import { MARKET_BY_LANG, type Product } from './catalog';
+import { getPrice } from './prices';
+import { hasSpecFields } from './specs';
+import type { Lang } from './i18n';
+
+/** Champs communs à toutes les catégories, en plus des clés de specs */
+const PRODUCT_FIELDS = ['price', 'rating'];
+
+export type QuizFacts = Record<string, string | number | boolean>;
+
+export async function resolveQuiz(products: Product[], lang: Lang) {
+  const category = products[0]?.category;
+  // getEntry journalise chaque entrée absente : on vérifie d'abord les quiz existants
+  const categories = new Set((await getCollection('quizzes')).map((e) => e.id));
+  if (!category || !categories.has(category)) return null;
+  const entry = await getEntry('quizzes', category);
+  if (!entry) return null;
+
+  const market = MARKET_BY_LANG[lang];
+  const fields = [...PRODUCT_FIELDS, ...(hasSpecFields(category) ? Object.keys(SPEC_SCHEMAS[category].shape) : [])];
+  const threshold = (value: number | { fr: number; com: number } | undefined) =>
+    typeof value === 'object' ? value[market] : value;
+
+  const questions = entry.data.questions.map((question) => ({
+    id: question.id,
+    text: question.text[lang],
+    answers: question.answers.map((answer) => ({
+      id: answer.id,
+      label: answer.label[lang],
+      rules: answer.rules.map((rule) => {
+        if (!fields.includes(rule.field)) {
+          throw new Error(
+            `Quiz "${category}" › ${question.id} › ${answer.id}: unknown field "${rule.field}" (expected one of ${fields.join(', ')})`,
+          );
+        }
+        return { ...rule, min: threshold(rule.min), max: threshold(rule.max), reason: rule.reason[lang] };
+      }),
+    })),
+  }));
+
+  // Seuls les produits achetables sont recommandés. Sans prix relevé, une règle de prix
+  // n'est pas respectée (et écarte le produit si elle est requise)
+  const facts = Object.fromEntries(products.filter((p) => p.available).map((p) => {
+    const amount = getPrice(p.asin, market)?.amount;
+    return [p.asin, { ...p.specs, rating: p.rating, ...(amount != null && { price: amount }) } as QuizFacts];
+  }));
+
+  return { title: entry.data.title[lang], questions, facts };
+}
@@ -0,0 +1,153 @@
+/**
+ * rankings.ts — Historique des classements des best-of (src/data/ranking-history/)
+ *
+ * scripts/snapshot-rankings.mjs relève chaque semaine le classement de chaque liste (ASIN, rang,
+ * badge), une fois par semaine ISO et seulement s'il a changé. On en tire :
+ *   - l'encadré « Nouveautés de la semaine » de BestOf (entrées, sorties, rangs) ;
+ *   - les indicateurs ↑/↓ des pastilles de rang de ProductCard ;
+ *   - un flux Atom par catégorie et par locale (/feeds/rankings/<catégorie>.xml).
+ * « Cette semaine » = dernier relevé daté de moins de 7 jours au moment du build.
+ *
+ * Usage:
+ *   getWeeklyChanges('best-standing-desks', 'fr'); // { week, date, entered, exited, moved } | null
+ *   getRankMove('best-standing-desks', 'fr', 'B09TD87W1J'); // 2 (monté de 2 places), -1, 0
+ *   await rankingFeedResponse('desks', 'fr');
+ */
+
+import { diffRankings } from '../../scripts/snapshot-rankings.mjs';
+import { getProduct } from './catalog';
+import { escapeXml } from './feeds';
+import { LOCALES, formatDate, t, type Lang } from './i18n';
+import { localeUrl, type RouteId } from './routes';
+
+export interface RankingEntry {
+  asin: string;
+  rank: number;
+  badge: string | null;
+}
+
+export interface RankingSnapshot {
+  week: string;              // Semaine ISO (« 2026-W43 »)
+  date: string;              // YYYY-MM-DD du relevé
+  entries: RankingEntry[];
+}
+
+interface RankingHistory {
+  page: RouteId;
+  lang: Lang;
+  category: string | null;   // Catégorie commune des produits, null pour une liste mixte
+  snapshots: RankingSnapshot[];
+}
+
+export interface RankingDiff {
+  week: string;
+  date: string;
+  entered: RankingEntry[];
+  exited: RankingEntry[];
+  moved: { asin: string; from: number; to: number }[];
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BUILD_DATE = new Date();
+
+const histories = Object.values(
+  import.meta.glob<RankingHistory>('../data/ranking-history/*/*.json', { eager: true, import: 'default' }),
+);
+
+export function getRankingHistory(id: RouteId, lang: Lang): RankingHistory | undefined {
+  return histories.find((h) => h.page === id && h.lang === lang);
+}
+
+/** Différence entre deux relevés (règle partagée avec scripts/snapshot-rankings.mjs) */
+function diffSnapshots(before: RankingSnapshot, after: RankingSnapshot): RankingDiff {
+  return { week: after.week, date: after.date, ...diffRankings(before.entries, after.entries) };
+}
+
+/** Toutes les évolutions d'une liste, de la plus récente à la plus ancienne (le 1er relevé n'en est pas une) */
+function rankingDiffs(history: RankingHistory): RankingDiff[] {
+  const { snapshots } = history;
+  return snapshots.slice(1).map((snapshot, i) => diffSnapshots(snapshots[i], snapshot)).reverse();
+}
+
+/** Évolution de la liste si son dernier relevé date de la semaine écoulée, sinon null */
+export function getWeeklyChanges(id: RouteId, lang: Lang, now = BUILD_DATE): RankingDiff | null {
+  const history = getRankingHistory(id, lang);
+  const latest = history ? rankingDiffs(history)[0] : undefined;
+  if (!latest || now.getTime() - Date.parse(latest.date) > 7 * DAY_MS) return null;
+  return latest;
+}
+
+/** Places gagnées (> 0) ou perdues (< 0) cette semaine par un produit de la liste */
+export function getRankMove(id: RouteId, lang: Lang, asin: string): number {
+  const move = getWeeklyChanges(id, lang)?.moved.find((m) => m.asin === asin);
+  return move ? move.from - move.to : 0;
+}
+
+/** Phrases d'une évolution (« X entre dans le classement (n°2) »…), noms du catalogue */
+export async function describeChanges(diff: RankingDiff, lang: Lang): Promise<string[]> {
+  // Un produit sorti peut ne plus être au catalogue : on affiche alors son ASIN
+  const name = async (asin: string) => (await getProduct(asin, lang).catch(() => null))?.name ?? asin;
+  return Promise.all([
+    ...diff.entered.map(async (e) => t(lang, 'rankings.entered', { name: await name(e.asin), rank: e.rank })),
+    ...diff.moved.map(async (m) => t(lang, m.to < m.from ? 'rankings.up' : 'rankings.down', {
+      name: await name(m.asin), from: m.from, to: m.to,
+    })),
+    ...diff.exited.map(async (e) => t(lang, 'rankings.exited', { name: await name(e.asin) })),
+  ]);
+}
+
+// ── Flux Atom par catégorie ──────────────────────────────────
+
+/** Chemin public du flux d'une catégorie (identique sur les deux domaines) */
+export function rankingFeedPath(category: string): string {
+  return `/feeds/rankings/${category}.xml`;
+}
+
+/** Catégories qui ont une liste classée dans une locale, pour getStaticPaths */
+export function rankingFeedPaths(lang: Lang) {
+  const categories = new Set(histories.filter((h) => h.lang === lang && h.category).map((h) => h.category!));
+  return [...categories].map((category) => ({ params: { category } }));
+}
+
+/** Flux d'une catégorie : une entrée par évolution de sa liste (rankingFeedPaths garantit qu'elle existe) */
+export async function rankingFeedXml(category: string, lang: Lang): Promise<string> {
+  const { origin, brand, htmlLang } = LOCALES[lang];
+  const lists = histories.filter((h) => h.lang === lang && h.category === category);
+  const categoryName = t(lang, `categories.${category}`);
+  const feedUrl = `${origin}${rankingFeedPath(category)}`;
+
+  const diffs = lists
+    .flatMap((history) => rankingDiffs(history).map((diff) => ({ page: history.page, diff })))
+    .sort((a, b) => b.diff.date.localeCompare(a.diff.date));
+  const updated = [...lists.flatMap((h) => h.snapshots.map((s) => s.date))].sort().at(-1) ?? BUILD_DATE.toISOString();
+
+  const entries = await Promise.all(diffs.map(async ({ page, diff }) => {
+    const url = localeUrl(page, lang);
+    const changes = await describeChanges(diff, lang);
+    const count = changes.length;
+    return `  <entry>
+    <title>${escapeXml(t(lang, 'rankings.feedEntry', { category: categoryName, date: formatDate(new Date(diff.date), lang), count }))}</title>
+    <id>${url}#ranking-${diff.week}</id>
+    <link href="${url}"/>
+    <updated>${diff.date}T00:00:00Z</updated>
+    <content type="html">${escapeXml(`<ul>${changes.map((c) => `<li>${escapeXml(c)}</li>`).join('')}</ul>`)}</content>
+  </entry>`;
+  }));
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${htmlLang}">
+  <title>${escapeXml(t(lang, 'rankings.feedTitle', { category: categoryName, brand }))}</title>
+  <id>${feedUrl}</id>
+  <link rel="self" href="${feedUrl}"/>
+  <link rel="alternate" href="${localeUrl(lists[0].page, lang)}"/>
+  <updated>${updated.slice(0, 10)}T00:00:00Z</updated>
+  <author><name>${escapeXml(brand)}</name></author>
+${entries.join('\n')}
+</feed>`;
+}
+
+export async function rankingFeedResponse(category: string, lang: Lang): Promise<Response> {
+  return new Response(await rankingFeedXml(category, lang), {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' },
+  });
+}
@@ -0,0 +1,33 @@
+/**
+ * remark-heading-ids.ts — Ancres explicites des titres Markdown : `## Position de l'écran {#position-ecran}`
+ *
+ * Le suffixe `{#id}` est retiré du texte et devient l'id du titre (rehypeHeadingIds d'Astro
+ * conserve un id existant). Les guides gardent ainsi leurs ancres publiées, quel que soit leur titre.
+ * Enregistré dans astro.config.mjs (markdown.remarkPlugins).
+ */
+
+interface MdNode {
+  type: string;
+  value?: string;
+  children?: MdNode[];
+  data?: { hProperties?: Record<string, unknown> };
+}
+
+const ID_SUFFIX = /\s*\{#([\w-]+)\}\s*$/;
+
+function visitHeadings(node: MdNode): void {
+  if (node.type === 'heading') {
+    const last = node.children?.at(-1);
+    const match = last?.type === 'text' ? last.value?.match(ID_SUFFIX) : null;
+    if (last && match) {
+      last.value = last.value!.slice(0, match.index);
+      node.data = { ...node.data, hProperties: { ...node.data?.hProperties, id: match[1] } };
+    }
+    return;
+  }
+  node.children?.forEach(visitHeadings);
+}
+
+export default function remarkHeadingIds() {
+  return (tree: MdNode) => visitHeadings(tree);
+}
@@ -0,0 +1,72 @@
+/**
+ * routes.ts — Table des routes : chaque page, son slug dans chaque locale
+ *
+ * src/data/routes.json associe un identifiant de page à son type et à ses chemins par locale
+ * (« guide-ergonomics » → /guides/ergonomie-bureau ↔ /guides/ergonomics).
+ * Pages générées (src/pages/[...slug].astro), hreflang, sélecteur de langue, navigation
+ * et sitemaps XML en découlent.
+ *
+ * Usage:
+ *   localeUrl('guide-ergonomics', 'en');          // https://homeofficesetup.net/guides/ergonomics
+ *   getRoute('/en/guides/ergonomics');            // { id: 'guide-ergonomics', lang: 'en' }
+ *   getAlternates('guide-ergonomics');            // [{ lang: 'fr', href }, { lang: 'en', href }]
+ */
+
+import routes from '../data/routes.json';
+import { LANGS, LOCALES, getLangFromPath, type Lang } from './i18n';
+
+export type RouteId = keyof typeof routes;
+
+/**
+ * Gabarit d'une page : landing, best-of et text sont rédigés dans src/content/pages/<lang>/<id>.md,
+ * guide dans src/content/guides/ ; compare, search et sitemap sont entièrement générés
+ */
+export type RouteType = 'landing' | 'best-of' | 'text' | 'guide' | 'compare' | 'search' | 'sitemap';
+
+export interface RouteConfig {
+  type: RouteType;
+  paths: Partial<Record<Lang, string>>;   // Chemin public sur le domaine de la locale
+  priority?: number;                      // Sitemap (0.0 – 1.0)
+  changefreq?: 'daily' | 'weekly' | 'monthly' | 'yearly';
+  sitemap?: boolean;                      // false = page utilitaire hors sitemap
+}
+
+export const ROUTES = routes as Record<RouteId, RouteConfig>;
+
+const normalize = (path: string) => path.replace(/\/+$/, '') || '/';
+
+/** Chemin public d'une page dans une locale (sans préfixe : le domaine suffit) */
+export function localePath(id: RouteId, lang: Lang): string {
+  const path = ROUTES[id].paths[lang];
+  if (!path) {
+    throw new Error(`Route "${id}" has no "${lang}" path in src/data/routes.json`);
+  }
+  return path;
+}
+
+/** URL absolue d'une page dans une locale */
+export function localeUrl(id: RouteId, lang: Lang): string {
+  return `${LOCALES[lang].origin}${localePath(id, lang)}`;
+}
+
+/** Page correspondant à un chemin de build (Astro.url.pathname), ou null si absente de la table */
+export function getRoute(pathname: string): { id: RouteId; lang: Lang } | null {
+  const lang = getLangFromPath(pathname);
+  const path = normalize(pathname.slice(LOCALES[lang].prefix.length) || '/');
+  const id = (Object.keys(ROUTES) as RouteId[]).find((key) => ROUTES[key].paths[lang] === path);
+  return id ? { id, lang } : null;
+}
+
+/** Versions existantes d'une page, une par locale traduite */
+export function getAlternates(id: RouteId): { lang: Lang; href: string }[] {
+  return LANGS
+    .filter((lang) => ROUTES[id].paths[lang])
+    .map((lang) => ({ lang, href: localeUrl(id, lang) }));
+}
+
+/** Pages d'une locale à publier dans son sitemap */
+export function sitemapRoutes(lang: Lang): { id: RouteId; route: RouteConfig }[] {
+  return (Object.keys(ROUTES) as RouteId[])
+    .filter((id) => ROUTES[id].paths[lang] && ROUTES[id].sitemap !== false)
+    .map((id) => ({ id, route: ROUTES[id] }));
+}
@@ -0,0 +1,158 @@
+/**
+ * search-index.ts — Index de recherche construit au build, un par locale
+ *
+ * Trois types de documents :
+ *   - product : fiches du catalogue (marque, nom, verdict, pros/cons, catégorie, prix),
+ *               liées à l'ancre #product-<ASIN> de la première page qui affiche leur ProductCard
+ *   - section : sections à ancre des pages rédigées (collection `pages` : titre et textes de la
+ *               section), et titres <h2 id="…"> des guides et pages texte Markdown (HTML rendu)
+ *   - faq     : questions des pages publiées (collection `faqs`)
+ * Servi en /search-index.json sur chaque domaine et lu par la page /search, sans service externe.
+ *
+ * Usage:
+ *   const docs = await buildSearchIndex('fr');
+ */
+
+import { getCollection } from 'astro:content';
+import { getProduct, MARKET_BY_LANG } from './catalog';
+import { getPageFaqs } from './faqs';
+import { getGuide } from './guides';
+import { t, type Lang } from './i18n';
+import { getPage, pageAsins, WRITTEN_TYPES, type Page, type PageSection } from './pages';
+import { localePath, ROUTES, sitemapRoutes, type RouteId } from './routes';
+
+export interface SearchDoc {
+  type: 'product' | 'section' | 'faq';
+  title: string;
+  url: string;
+  page: string;          // Titre court de la page (« Bureaux debout »…)
+  text: string;          // Contenu recherché, et extrait affiché
+  price?: string;
+  category?: string;
+}
+
+/** Texte brut d'un fragment HTML : balises et espaces superflus retirés */
+function plainText(fragment: string): string {
+  return fragment
+    .replace(/<(script|style|svg)[\s\S]*?<\/\1>/g, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+interface PublishedPage {
+  id: RouteId;
+  path: string;
+  page?: Page;           // Page rédigée (landing, best-of, text)
+  html?: string;         // HTML rendu d'une page Markdown (guide, page texte)
+}
+
+/** Pages publiées d'une locale, avec leur contenu */
+async function publishedPages(lang: Lang): Promise<PublishedPage[]> {
+  return Promise.all(sitemapRoutes(lang).map(async ({ id }) => {
+    const { type } = ROUTES[id];
+    const page = WRITTEN_TYPES.includes(type) ? await getPage(id, lang) : undefined;
+    const guide = type === 'guide' ? await getGuide(id, lang) : undefined;
+    const html = type === 'text' ? page!.rendered?.html : guide?.rendered?.html;
+    return { id, path: localePath(id, lang), page, html };
+  }));
+}
+
+/** Clés de section qui ne sont pas du texte lisible */
+const NON_TEXT_KEYS = new Set(['kind', 'id', 'toc', 'title', 'emoji', 'color', 'layout', 'style', 'columns', 'categories', 'picks', 'more', 'route']);
+
+/** Textes d'une section (intro, conseils, paliers…), dans l'ordre du frontmatter */
+function sectionText(value: unknown, key = ''): string[] {
+  if (NON_TEXT_KEYS.has(key)) return [];
+  if (typeof value === 'string') return [value];
+  if (Array.isArray(value)) return value.flatMap((item) => sectionText(item));
+  if (value && typeof value === 'object') return Object.entries(value).flatMap(([k, v]) => sectionText(v, k));
+  return [];
+}
+
+/** Sections à ancre d'une page rédigée (la FAQ a ses propres documents) */
+function sectionDocs(page: Page, path: string, pageTitle: string): SearchDoc[] {
+  return page.data.sections
+    .filter((section): section is Extract<PageSection, { id?: string; title: string }> => 'id' in section && !!section.id)
+    .map((section) => ({
+      type: 'section' as const,
+      title: plainText(section.title),
+      url: `${path}#${section.id}`,
+      page: pageTitle,
+      text: plainText(sectionText(section).join(' ')).slice(0, 600),
+    }));
+}
+
+/** Sections d'une page Markdown (guide, page texte) : HTML rendu, découpé sur ses titres <h2 id="…"> */
+function markdownSectionDocs(html: string, path: string, pageTitle: string): SearchDoc[] {
+  const sections = html.split(/(?=<h2 id=")/).filter((s) => s.startsWith('<h2'));
+  return sections.map((section) => {
+    const [heading, id, title] = section.match(/^<h2 id="([\w-]+)"[^>]*>([\s\S]*?)<\/h2>/)!;
+    return {
+      type: 'section' as const,
+      title: plainText(title),
+      url: `${path}#${id}`,
+      page: pageTitle,
+      text: plainText(section.slice(heading.length)).slice(0, 600),
+    };
+  });
+}
+
+async function faqDocs(page: { id: RouteId; path: string }, lang: Lang, pageTitle: string): Promise<SearchDoc[]> {
+  return (await getPageFaqs(page.id, lang)).map(({ q, a }) => ({
+    type: 'faq' as const,
+    title: q,
+    url: `${page.path}#faq`,
+    page: pageTitle,
+    text: a,
+  }));
+}
+
+export async function buildSearchIndex(lang: Lang): Promise<SearchDoc[]> {
+  const pages = await publishedPages(lang);
+  const pageTitle = (id: string) => t(lang, `pages.${id}.title`);
+
+  // Page qui affiche la ProductCard de chaque ASIN (ordre de routes.json : les comparatifs d'abord)
+  const cardPage = new Map<string, PublishedPage>();
+  for (const page of pages) {
+    if (ROUTES[page.id].type !== 'best-of') continue;
+    for (const asin of pageAsins(page.page!)) {
+      if (!cardPage.has(asin)) cardPage.set(asin, page);
+    }
+  }
+
+  const market = MARKET_BY_LANG[lang];
+  const entries = (await getCollection('products'))
+    .filter((entry) => entry.data.locales[lang] && entry.data.markets[market] && cardPage.has(entry.id));
+
+  const products: SearchDoc[] = await Promise.all(entries.map(async (entry) => {
+    const product = await getProduct(entry.id, lang);
+    const page = cardPage.get(entry.id)!;
+    return {
+      type: 'product' as const,
+      title: `${product.brand} ${product.name}`,
+      url: `${page.path}#product-${product.asin}`,
+      page: pageTitle(page.id),
+      text: [product.verdict, ...product.pros, ...product.cons].join(' · '),
+      price: product.price,
+      category: t(lang, `categories.${product.category}`),
+    };
+  }));
+
+  return [
+    ...products,
+    ...pages.flatMap((page) => {
+      if (page.html) return markdownSectionDocs(page.html, page.path, pageTitle(page.id));
+      return page.page ? sectionDocs(page.page, page.path, pageTitle(page.id)) : [];
+    }),
+    ...(await Promise.all(pages.map((page) => faqDocs(page, lang, pageTitle(page.id))))).flat(),
+  ];
+}
+
+export async function searchIndexResponse(lang: Lang): Promise<Response> {
+  return new Response(JSON.stringify(await buildSearchIndex(lang)), {
+    headers: { 'Content-Type': 'application/json; charset=utf-8' },
+  });
+}
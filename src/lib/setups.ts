@@ -0,0 +1,94 @@
+/**
+ * setups.ts — Setups complets par budget (page budget-home-office-setup)
+ *
+ * Une page décrit ses presets (budget, textes, un ASIN par emplacement) ; ce module
+ * résout chaque emplacement avec les prix de src/data/prices.json et liste les
+ * alternatives du catalogue que le lecteur peut choisir à la place.
+ * Le build avertit quand un preset dépasse son budget aux prix du jour.
+ *
+ * Usage:
+ *   const setups = await resolveSetups([
+ *     { budget: 500, title: '…', desc: '…', picks: { chair: 'B0GFMQMJ47', monitor: 'B0DPHFHRJM' } },
+ *   ], 'fr');
+ */
+
+import { getCollection } from 'astro:content';
+import { formatPrice, getProduct, MARKET_BY_LANG, type Product } from './catalog';
+import { getPrice } from './prices';
+import type { Lang } from './i18n';
+
+/** Emplacements d'un setup et catégorie du catalogue qui les remplit (ordre d'affichage) */
+export const SETUP_SLOTS = {
+  desk: 'desks',
+  chair: 'chairs',
+  monitor: 'monitors',
+  peripherals: 'accessories',
+  lamp: 'lamps',
+} as const;
+
+export type SetupSlot = keyof typeof SETUP_SLOTS;
+
+export interface SetupPreset {
+  budget: number;                                  // Montant annoncé, dans la devise de la marketplace
+  title: string;
+  desc: string;
+  color: string;                                   // Classes Tailwind de la carte
+  recommended?: boolean;
+  picks: Partial<Record<SetupSlot, string>>;       // Emplacement absent = « je l'ai déjà »
+}
+
+export type SlotOption = Product & { amount: number };
+
+/** Produits achetables d'une catégorie sur la marketplace de la locale, du moins cher au plus cher */
+async function slotOptions(slot: SetupSlot, lang: Lang): Promise<SlotOption[]> {
+  const market = MARKET_BY_LANG[lang];
+  const entries = (await getCollection('products'))
+    .filter(({ data }) => data.category === SETUP_SLOTS[slot] && data.locales[lang] && data.markets[market]);
+
+  const products = await Promise.all(entries.map((entry) => getProduct(entry.id, lang)));
+  return products
+    .flatMap((product) => {
+      // Un total doit venir de prix relevés : sans montant ou indisponible, pas d'option
+      const amount = getPrice(product.asin, market)?.amount;
+      return product.available && amount != null ? [{ ...product, amount }] : [];
+    })
+    .sort((a, b) => a.amount - b.amount);
+}
+
+/**
+ * Presets prêts à afficher : pour chaque emplacement, le produit retenu (ou son
+ * `fallback` s'il n'est plus achetable) et les alternatives, puis le total.
+ */
+export async function resolveSetups(presets: SetupPreset[], lang: Lang) {
+  const market = MARKET_BY_LANG[lang];
+  const slots = Object.keys(SETUP_SLOTS) as SetupSlot[];
+  const options = Object.fromEntries(
+    await Promise.all(slots.map(async (slot) => [slot, await slotOptions(slot, lang)] as const)),
+  ) as Record<SetupSlot, SlotOption[]>;
+
+  return Promise.all(presets.map(async (preset) => {
+    const resolved = await Promise.all(slots.map(async (slot) => {
+      const asin = preset.picks[slot];
+      if (!asin) return { slot, selected: null, options: options[slot] };
+
+      let selected = options[slot].find((o) => o.asin === asin) ?? null;
+      if (!selected) {
+        const { fallback, brand, name } = await getProduct(asin, lang);
+        selected = options[slot].find((o) => o.asin === fallback) ?? null;
+        console.warn(
+          `⚠️  Setup "${preset.title}": ${asin} (${brand} ${name}) has no price or is unavailable on amazon.${market}` +
+          (selected ? ` — using fallback ${selected.asin}` : ' — slot left empty'),
+        );
+      }
+      return { slot, selected, options: options[slot] };
+    }));
+
+    const total = resolved.reduce((sum, { selected }) => sum + (selected?.amount ?? 0), 0);
+    if (total > preset.budget) {
+      console.warn(
+        `⚠️  Setup "${preset.title}" totals ${formatPrice(total, lang)} on amazon.${market}, over its ${formatPrice(preset.budget, lang)} budget`,
+      );
+    }
+    return { ...preset, slots: resolved, total, overBudget: total > preset.budget };
+  }));
+}
@@ -0,0 +1,73 @@
+/**
+ * sitemap.ts — Générateur unique des sitemaps (XML par domaine + plan du site HTML)
+ *
+ * Les pages viennent de src/data/routes.json, leurs titres du dictionnaire
+ * (pages.<id>.title / .desc) et lastmod de src/lib/last-modified.ts.
+ * Une page ajoutée à la table des routes apparaît partout à la fois — ou le build
+ * échoue s'il manque son titre dans une locale.
+ *
+ * Usage:
+ *   sitemapEntries('fr');       // pour src/pages/sitemap.astro
+ *   sitemapResponse('en');      // pour src/pages/sitemap-en.xml.ts
+ */
+
+import { LOCALES, t, type Lang } from './i18n';
+import { getAlternates, localePath, localeUrl, sitemapRoutes, type RouteConfig, type RouteId } from './routes';
+import { getLastModified } from './last-modified';
+
+export interface SitemapEntry {
+  id: RouteId;
+  path: string;                             // Chemin public (liens du plan du site HTML)
+  url: string;
+  lastmod: string;                          // YYYY-MM-DD
+  changefreq: NonNullable<RouteConfig['changefreq']>;
+  priority: number;
+  alternates: { hreflang: string; href: string }[];
+  title: string;
+  description: string;
+}
+
+/** Pages publiées d'une locale, dans l'ordre de routes.json */
+export function sitemapEntries(lang: Lang): SitemapEntry[] {
+  return sitemapRoutes(lang).map(({ id, route }) => {
+    const alternates = getAlternates(id);
+    const xDefault = alternates.find((a) => LOCALES[a.lang].xDefault) ?? alternates[0];
+    return {
+      id,
+      path: localePath(id, lang),
+      url: localeUrl(id, lang),
+      lastmod: getLastModified(id, lang).toISOString().split('T')[0],
+      changefreq: route.changefreq ?? 'monthly',
+      priority: route.priority ?? 0.5,
+      alternates: [
+        ...alternates.map((a) => ({ hreflang: LOCALES[a.lang].hreflang, href: a.href })),
+        { hreflang: 'x-default', href: xDefault.href },
+      ],
+      title: t(lang, `pages.${id}.title`),
+      description: t(lang, `pages.${id}.desc`),
+    };
+  });
+}
+
+export function sitemapXml(lang: Lang): string {
+  const urls = sitemapEntries(lang).map((entry) => `  <url>
+    <loc>${entry.url}</loc>
+${entry.alternates.map((a) => `    <xhtml:link rel="alternate" hreflang="${a.hreflang}" href="${a.href}"/>`).join('\n')}
+    <lastmod>${entry.lastmod}</lastmod>
+    <changefreq>${entry.changefreq}</changefreq>
+    <priority>${entry.priority.toFixed(1)}</priority>
+  </url>`);
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- ${LOCALES[lang].brand} -->
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+        xmlns:xhtml="http://www.w3.org/1999/xhtml">
+${urls.join('\n')}
+</urlset>`;
+}
+
+export function sitemapResponse(lang: Lang): Response {
+  return new Response(sitemapXml(lang), {
+    headers: { 'Content-Type': 'application/xml; charset=utf-8' },
+  });
+}
@@ -0,0 +1,124 @@
+/**
+ * specs.ts — Affichage des caractéristiques produit (champ `specs` de products.json)
+ *
+ * Chaque catégorie déclare ses lignes dans SPEC_FIELDS : libellé (dictionnaire
+ * specs.fields.<id>) et mise en forme selon la locale (cm ou pouces, kg ou lb…).
+ * Les tableaux « Comparatif rapide » et la page /compare lisent tous deux ces définitions.
+ *
+ * Usage:
+ *   formatSpec(product, 'noise', 'fr');   // « 45 dB »
+ *   specRows(product, 'en');              // [{ id: 'height', label: 'Height range', value: '24"–50"' }, …]
+ */
+
+import type { SPEC_SCHEMAS } from '../content.config';
+import { LOCALES, t, type Lang } from './i18n';
+
+export type SpecCategory = keyof typeof SPEC_SCHEMAS;
+type Specs = Record<string, string | number | boolean>;
+
+interface SpecField {
+  id: string;
+  format: (specs: Specs, lang: Lang) => string | null;   // null = non renseigné
+}
+
+// ── Mise en forme ────────────────────────────────────────────
+const imperial = (lang: Lang) => LOCALES[lang].units === 'imperial';
+const length = (cm: number, lang: Lang) => (imperial(lang) ? `${Math.round(cm / 2.54)}"` : `${cm} cm`);
+const lengthRange = (min: number, max: number, lang: Lang) =>
+  imperial(lang) ? `${Math.round(min / 2.54)}"–${Math.round(max / 2.54)}"` : `${min}–${max} cm`;
+const weight = (kg: number, lang: Lang) => (imperial(lang) ? `${Math.round(kg * 2.2046)} lb` : `${kg} kg`);
+const years = (n: number, lang: Lang) => t(lang, n === 1 ? 'specs.units.year' : 'specs.units.years', { n });
+const yesNo = (value: boolean, lang: Lang) => t(lang, value ? 'specs.yes' : 'specs.no');
+const option = (group: string, value: string, lang: Lang) => t(lang, `specs.values.${group}.${value}`);
+
+/** Champ simple : lit `key` et le met en forme s'il est renseigné */
+function field(id: string, key: string, format: (value: any, lang: Lang) => string): SpecField {
+  return { id, format: (specs, lang) => (specs[key] === undefined ? null : format(specs[key], lang)) };
+}
+
+// ── Lignes par catégorie (ordre d'affichage) ─────────────────
+export const SPEC_FIELDS: Record<SpecCategory, SpecField[]> = {
+  desks: [
+    { id: 'height', format: (s, lang) => lengthRange(s.heightMinCm as number, s.heightMaxCm as number, lang) },
+    { id: 'surface', format: (s, lang) => `${length(s.widthCm as number, lang)} × ${length(s.depthCm as number, lang)}` },
+    field('load', 'loadKg', weight),
+    field('motors', 'motors', String),
+    field('memory', 'memoryPresets', String),
+    field('noise', 'noiseDb', (db) => `${db} dB`),
+    field('warranty', 'warrantyYears', years),
+  ],
+  chairs: [
+    field('lumbar', 'lumbar', (v, lang) => option('lumbar', v, lang)),
+    field('headrest', 'headrest', yesNo),
+    field('armrests', 'armrests', (v, lang) => option('armrests', v, lang)),
+    { id: 'seatHeight', format: (s, lang) => lengthRange(s.seatMinCm as number, s.seatMaxCm as number, lang) },
+    field('material', 'material', (v, lang) => option('material', v, lang)),
+    field('load', 'loadKg', weight),
+    field('warranty', 'warrantyYears', years),
+  ],
+  monitors: [
+    field('size', 'sizeInch', (inch) => `${inch}"`),
+    field('resolution', 'resolution', (v, lang) => option('resolution', v, lang)),
+    field('panel', 'panel', (v, lang) => option('panel', v, lang)),
+    field('refresh', 'refreshHz', (hz) => `${hz} Hz`),
+    field('usbc', 'usbcPowerW', (w, lang) => (w > 0 ? `✅ ${w}W` : t(lang, 'specs.no'))),
+    field('heightAdjustable', 'heightAdjustable', yesNo),
+    field('warranty', 'warrantyYears', years),
+  ],
+  webcams: [
+    field('resolution', 'resolution', (v, lang) => option('resolution', v, lang)),
+    field('fps', 'fps', (fps) => `${fps} fps`),
+    field('fov', 'fovDeg', (deg) => `${deg}°`),
+    field('autofocus', 'autofocus', yesNo),
+    field('mics', 'mics', (v, lang) => option('mics', v, lang)),
+    field('privacyShutter', 'privacyShutter', yesNo),
+  ],
+  headsets: [
+    field('wireless', 'connection', (v, lang) => yesNo(v !== 'wired', lang)),
+    field('connection', 'connection', (v, lang) => option('connection', v, lang)),
+    field('anc', 'anc', yesNo),
+    field('mic', 'mic', (v, lang) => option('mic', v, lang)),
+    field('battery', 'batteryHours', (h, lang) => t(lang, 'specs.units.hours', { n: h })),
+    field('teams', 'teamsCertified', yesNo),
+  ],
+  lamps: [
+    field('lampType', 'type', (v, lang) => option('lampType', v, lang)),
+    { id: 'colorTemp', format: (s) => `${s.colorTempMinK}–${s.colorTempMaxK} K` },
+    field('autoDimming', 'autoDimming', yesNo),
+    field('control', 'control', (v, lang) => option('control', v, lang)),
+    field('backlight', 'backlight', yesNo),
+  ],
+};
+
+export const SPEC_CATEGORIES = Object.keys(SPEC_FIELDS) as SpecCategory[];
+
+export function hasSpecFields(category: string): category is SpecCategory {
+  return category in SPEC_FIELDS;
+}
+
+/** Libellé d'une ligne (« Garantie », « Noise level »…) */
+export function specLabel(id: string, lang: Lang): string {
+  return t(lang, `specs.fields.${id}`);
+}
+
+/** Valeur affichée d'une caractéristique, « — » si le produit ne la renseigne pas */
+export function formatSpec(product: { category: string; specs?: Specs }, id: string, lang: Lang): string {
+  if (!hasSpecFields(product.category)) {
+    throw new Error(`Category "${product.category}" has no spec fields in src/lib/specs.ts`);
+  }
+  const spec = SPEC_FIELDS[product.category].find((f) => f.id === id);
+  if (!spec) {
+    throw new Error(`Unknown spec "${id}" for category "${product.category}" — see SPEC_FIELDS in src/lib/specs.ts`);
+  }
+  return (product.specs && spec.format(product.specs, lang)) ?? t(lang, 'specs.none');
+}
+
+/** Toutes les lignes de la catégorie du produit, dans l'ordre de SPEC_FIELDS */
+export function specRows(product: { category: string; specs?: Specs }, lang: Lang) {
+  if (!hasSpecFields(product.category)) return [];
+  return SPEC_FIELDS[product.category].map(({ id }) => ({
+    id,
+    label: specLabel(id, lang),
+    value: formatSpec(product, id, lang),
+  }));
+}
@@ -0,0 +1,240 @@
+/**
+ * structured-data.ts — JSON-LD généré depuis les données des pages (un seul endroit)
+ *
+ * Les pages ne construisent plus leurs schémas à la main : produits, prix, FAQ et fil
+ * d'Ariane en sont tirés. Toutes les URLs partent du domaine de la locale
+ * (homeofficesetup.pro en FR, homeofficesetup.net en EN). validateSchema() fait échouer
+ * le build si un champ requis manque ou si une URL vise l'autre domaine.
+ *
+ *   - itemListSchema    ItemList de Product (+ Offer, AggregateRating, Review éditoriale)
+ *   - faqSchema         FAQPage depuis les questions de la page (getPageFaqs, src/lib/faqs.ts)
+ *   - breadcrumbSchema  BreadcrumbList depuis la prop `breadcrumb` (accueil en tête)
+ *   - articleSchema     Article des guides (dateModified = getLastModified)
+ *
+ * Usage:
+ *   <JsonLd schema={[itemListSchema({ name, path, products, lang }), faqSchema(faq)]} lang={lang} />
+ */
+
+import { getProductImage } from './images';
+import { getPrice, type Availability } from './prices';
+import { MARKET_BY_LANG, type Product } from './catalog';
+import { getLastModified } from './last-modified';
+import { ogImagePath } from './og-image';
+import { LOCALES, t, type Lang } from './i18n';
+import { localePath, localeUrl, type RouteId } from './routes';
+
+export type JsonLdNode = Record<string, unknown>;
+
+const CONTEXT = 'https://schema.org';
+
+/** Statuts relevés par scripts/update-prices.mjs → schema.org ; `unknown` n'est pas publié */
+const AVAILABILITY: Partial<Record<Availability, string>> = {
+  in_stock: `${CONTEXT}/InStock`,
+  out_of_stock: `${CONTEXT}/OutOfStock`,
+  unavailable: `${CONTEXT}/OutOfStock`,
+  removed: `${CONTEXT}/Discontinued`,
+};
+
+/** URL absolue sur le domaine de la locale (« /best-standing-desks » → https://homeofficesetup.pro/…) */
+export function absoluteUrl(path: string, lang: Lang): string {
+  return /^https?:\/\//.test(path) ? path : `${LOCALES[lang].origin}${path.startsWith('/') ? '' : '/'}${path}`;
+}
+
+/** Le site, auteur des revues et éditeur des guides */
+function organization(lang: Lang): JsonLdNode {
+  return { '@type': 'Organization', name: LOCALES[lang].brand, url: LOCALES[lang].origin };
+}
+
+// ── Produits ─────────────────────────────────────────────────
+
+/** Product d'un produit du catalogue, ancré sur sa section dans la page `path` */
+export function productSchema(product: Product, path: string, lang: Lang): JsonLdNode {
+  const url = absoluteUrl(`${path}#product-${product.asin}`, lang);
+  const image = getProductImage(product.asin);
+  const record = getPrice(product.asin, MARKET_BY_LANG[lang]);
+  const availability = AVAILABILITY[product.availability];
+
+  return {
+    '@type': 'Product',
+    name: `${product.brand} ${product.name}`,
+    brand: { '@type': 'Brand', name: product.brand },
+    sku: product.asin,
+    url,
+    ...(image && { image: absoluteUrl(image.src, lang) }),
+    ...(product.verdict !== '' && { description: product.verdict }),
+    // Pas de prix relevé : pas d'Offer plutôt qu'un prix inventé
+    ...(record?.amount != null && {
+      offers: {
+        '@type': 'Offer',
+        price: record.amount.toFixed(2),
+        priceCurrency: record.currency,
+        url,
+        ...(availability && { availability }),
+      },
+    }),
+    ...(product.reviewCount > 0 && {
+      aggregateRating: {
+        '@type': 'AggregateRating',
+        ratingValue: product.rating,
+        reviewCount: product.reviewCount,
+        bestRating: 5,
+      },
+    }),
+    // Revue éditoriale : verdict et pour/contre du catalogue, sans note inventée
+    ...(product.verdict !== '' && {
+      review: {
+        '@type': 'Review',
+        author: organization(lang),
+        reviewBody: product.verdict,
+        ...(product.pros.length > 0 && { positiveNotes: notes(product.pros) }),
+        ...(product.cons.length > 0 && { negativeNotes: notes(product.cons) }),
+      },
+    }),
+  };
+}
+
+function notes(items: string[]): JsonLdNode {
+  return {
+    '@type': 'ItemList',
+    itemListElement: items.map((name, i) => ({ '@type': 'ListItem', position: i + 1, name })),
+  };
+}
+
+/** ItemList d'un comparatif : un Product par produit, dans l'ordre de la page */
+export function itemListSchema({ name, description, path, products, lang }: {
+  name: string;
+  description?: string;
+  path: string;
+  products: Product[];
+  lang: Lang;
+}): JsonLdNode {
+  return {
+    '@context': CONTEXT,
+    '@type': 'ItemList',
+    name,
+    ...(description !== undefined && { description }),
+    url: absoluteUrl(path, lang),
+    numberOfItems: products.length,
+    itemListElement: products.map((product, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      item: productSchema(product, path, lang),
+    })),
+  };
+}
+
+// ── Page ─────────────────────────────────────────────────────
+
+export interface FaqItem {
+  q: string;
+  a: string;
+}
+
+export function faqSchema(faq: FaqItem[]): JsonLdNode {
+  return {
+    '@context': CONTEXT,
+    '@type': 'FAQPage',
+    mainEntity: faq.map(({ q, a }) => ({
+      '@type': 'Question',
+      name: q,
+      acceptedAnswer: { '@type': 'Answer', text: a },
+    })),
+  };
+}
+
+/** Fil d'Ariane affiché par la page (chemins de la locale), précédé de l'accueil */
+export function breadcrumbSchema(items: { label: string; href: string }[], lang: Lang): JsonLdNode {
+  const trail = [{ label: t(lang, 'nav.home'), href: localePath('home', lang) }, ...items];
+  return {
+    '@context': CONTEXT,
+    '@type': 'BreadcrumbList',
+    itemListElement: trail.map((item, i) => ({
+      '@type': 'ListItem',
+      position: i + 1,
+      name: item.label,
+      item: absoluteUrl(item.href, lang),
+    })),
+  };
+}
+
+/** Article d'un guide ; dateModified = getLastModified (dernier commit de la page ou changement de prix) */
+export function articleSchema({ id, lang, headline, description }: {
+  id: RouteId;
+  lang: Lang;
+  headline: string;
+  description: string;
+}): JsonLdNode {
+  return {
+    '@context': CONTEXT,
+    '@type': 'Article',
+    headline,
+    description,
+    url: localeUrl(id, lang),
+    mainEntityOfPage: localeUrl(id, lang),
+    inLanguage: LOCALES[lang].htmlLang,
+    image: absoluteUrl(ogImagePath(id), lang),
+    dateModified: getLastModified(id, lang).toISOString(),
+    author: organization(lang),
+    publisher: organization(lang),
+  };
+}
+
+// ── Validation ───────────────────────────────────────────────
+
+/** Champs requis par type (recommandations Google pour les résultats enrichis) */
+const REQUIRED: Record<string, string[]> = {
+  ItemList: ['itemListElement'],
+  ListItem: ['position'],
+  Product: ['name', 'url'],
+  Offer: ['price', 'priceCurrency'],
+  AggregateRating: ['ratingValue', 'reviewCount'],
+  Review: ['author', 'reviewBody'],
+  FAQPage: ['mainEntity'],
+  Question: ['name', 'acceptedAnswer'],
+  Answer: ['text'],
+  BreadcrumbList: ['itemListElement'],
+  Article: ['headline', 'url', 'dateModified', 'author', 'publisher'],
+  Organization: ['name', 'url'],
+};
+
+/** Champs qui doivent pointer vers le domaine de la locale */
+const URL_FIELDS = ['url', 'item', 'mainEntityOfPage', 'image'];
+
+const isEmpty = (value: unknown) =>
+  value == null || value === '' || (Array.isArray(value) && value.length === 0);
+
+/**
+ * Vérifie un schéma et tous ses nœuds imbriqués ; lève une erreur qui donne le chemin
+ * du champ fautif (« ItemList.itemListElement[2].item.offers.priceCurrency »).
+ */
+export function validateSchema(node: JsonLdNode, lang: Lang, path = String(node['@type'] ?? 'JSON-LD')): void {
+  const errors: string[] = [];
+  const origin = LOCALES[lang].origin;
+
+  const visit = (value: unknown, at: string) => {
+    if (Array.isArray(value)) return value.forEach((item, i) => visit(item, `${at}[${i}]`));
+    if (!value || typeof value !== 'object') return;
+
+    const obj = value as JsonLdNode;
+    const type = obj['@type'];
+    if (typeof type === 'string') {
+      for (const field of REQUIRED[type] ?? []) {
+        if (isEmpty(obj[field])) errors.push(`${at}.${field} is required on ${type}`);
+      }
+      // Un élément de liste porte soit un nom, soit un nœud
+      if (type === 'ListItem' && isEmpty(obj.name) && isEmpty(obj.item)) errors.push(`${at} needs a name or an item`);
+    }
+    for (const field of URL_FIELDS) {
+      const url = obj[field];
+      if (typeof url === 'string' && !url.startsWith(`${origin}/`) && url !== origin) {
+        errors.push(`${at}.${field} "${url}" is not on ${origin}`);
+      }
+    }
+    for (const [key, child] of Object.entries(obj)) visit(child, `${at}.${key}`);
+  };
+
+  visit(node, path);
+  if (errors.length) {
+    throw new Error(`Invalid JSON-LD:\n  ${errors.join('\n  ')}`);
+  }
+}
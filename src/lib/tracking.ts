@@ -0,0 +1,163 @@
+/**
+ * tracking.ts — Mesure d'audience des liens affiliés (un seul endroit)
+ *
+ * Au build, chaque lien Amazon reçoit ses attributs de suivi via trackAttrs() :
+ * emplacement (carte, quick winner, setup…), ASIN, rang, badge. Dans le navigateur,
+ * initTracking() (Base.astro) envoie à un ou plusieurs adaptateurs :
+ *   - Amazon Click          clic sur un lien affilié
+ *   - Placement View        un lien affilié devient visible (une fois par lien et par page)
+ *   - Product Section View  une section produit (#product-ASIN) est atteinte au scroll
+ *   - Outbound Click        clic vers un autre site, hors liens affiliés
+ * Chaque événement porte la page et la locale. Adaptateurs : Vercel Analytics (prod) et
+ * un puits NDJSON local (scripts/tracking-sink.mjs, si PUBLIC_TRACKING_SINK est défini).
+ * Vues et clics d'un lien portent les mêmes données (emplacement, ASIN, rang, badge) :
+ * scripts/tracking-report.mjs en tire le CTR par emplacement, par ASIN…
+ *
+ * Usage:
+ *   <a href={amazonUrl(asin, market)} {...trackAttrs({ placement: 'card', asin, rank: 1, badge: 'pick' })}>
+ *   initTracking([vercelAdapter(), ndjsonAdapter('http://localhost:4322/events')]);
+ */
+
+/** Emplacements des liens affiliés — à compléter quand un nouveau bloc affiche des liens */
+export const PLACEMENTS = [
+  'card',               // Bouton d'une ProductCard
+  'card-alternative',   // Alternative proposée sur une carte indisponible
+  'quick-winner',       // Encadré « meilleur choix » en tête de best-of
+  'home-picks',         // Sélection de la page d'accueil
+  'builder',            // Panier d'un setup par budget
+  'compare',            // Comparateur /compare
+  'calculator',         // Calculateur de hauteurs
+  'guide-card',         // Carte compacte insérée dans un guide
+  'guide-price',        // Lien « prix actuel » dans le texte d'un guide
+  'guide-compare',      // Mini-comparatif inséré dans un guide
+  'feed',               // Entrées des flux Atom / JSON (/feeds/)
+] as const;
+
+export type Placement = (typeof PLACEMENTS)[number];
+
+export interface TrackInfo {
+  placement: Placement;
+  asin?: string;
+  name?: string;
+  price?: string;
+  rank?: number;
+  badge?: string | null;
+}
+
+/** Attributs data-* d'un lien affilié suivi (à étaler sur le <a>) */
+export function trackAttrs({ placement, asin, name, price, rank, badge }: TrackInfo): Record<string, string> {
+  const attrs: Record<string, string | number | null | undefined> = {
+    'data-track': 'amazon',
+    'data-placement': placement,
+    'data-asin': asin,
+    'data-name': name,
+    'data-price': price,
+    'data-rank': rank,
+    'data-badge': badge,
+  };
+  return Object.fromEntries(
+    Object.entries(attrs).flatMap(([key, value]) => (value == null || value === '' ? [] : [[key, String(value)]])),
+  );
+}
+
+// ── Événements (navigateur) ──────────────────────────────────
+
+export type TrackingEventName = 'Amazon Click' | 'Placement View' | 'Product Section View' | 'Outbound Click';
+
+/** Données à plat (contrainte des événements personnalisés Vercel) */
+export interface TrackingEvent {
+  name: TrackingEventName;
+  data: Record<string, string | number>;
+}
+
+export interface TrackingAdapter {
+  send(event: TrackingEvent): void;
+}
+
+/** Vercel Analytics : événements personnalisés via window.va (injecté par <Analytics />) */
+export function vercelAdapter(): TrackingAdapter {
+  return {
+    send({ name, data }) {
+      (window as any).va?.('event', { name, data });
+    },
+  };
+}
+
+/**
+ * Puits NDJSON local : une ligne JSON par événement, postée à `endpoint`
+ * (scripts/tracking-sink.mjs l'ajoute à un fichier). Pour les tests, jamais en production.
+ */
+export function ndjsonAdapter(endpoint: string): TrackingAdapter {
+  return {
+    send(event) {
+      const line = JSON.stringify({ ...event, ts: new Date().toISOString() }) + '\n';
+      // sendBeacon survit à la navigation vers Amazon ; fetch keepalive en secours
+      if (!navigator.sendBeacon?.(endpoint, new Blob([line], { type: 'text/plain' }))) {
+        fetch(endpoint, { method: 'POST', body: line, keepalive: true }).catch(() => {});
+      }
+    },
+  };
+}
+
+/** Données communes à tous les événements */
+function pageData() {
+  return { page: location.pathname, locale: document.documentElement.lang || 'fr' };
+}
+
+/** Données d'un lien affilié, lues sur ses attributs data-* */
+function linkData(link: HTMLElement) {
+  const { placement, asin, name, price, rank, badge } = link.dataset;
+  const data: Record<string, string | number> = { placement: placement || 'unknown' };
+  if (asin) data.asin = asin;
+  if (name) data.product = name;
+  if (price) data.price = price;
+  if (rank) data.rank = Number(rank);
+  if (badge) data.badge = badge;
+  return data;
+}
+
+export function initTracking(adapters: TrackingAdapter[]) {
+  const send = (name: TrackingEventName, data: Record<string, string | number>) => {
+    const event = { name, data: { ...pageData(), ...data } };
+    adapters.forEach((adapter) => adapter.send(event));
+  };
+
+  // Clics : liens affiliés d'abord, puis tout lien vers un autre site
+  document.addEventListener('click', (e) => {
+    const link = (e.target as Element).closest<HTMLAnchorElement>('a[href]');
+    if (!link) return;
+    if (link.dataset.track === 'amazon') {
+      send('Amazon Click', linkData(link));
+      return;
+    }
+    const url = new URL(link.href, location.href);
+    if (/^https?:$/.test(url.protocol) && url.host !== location.host) {
+      send('Outbound Click', { host: url.host, href: url.href.slice(0, 200) });
+    }
+  });
+
+  if (!('IntersectionObserver' in window)) return;
+
+  // Vues de liens affiliés : dénominateur du CTR, une par lien et par page, mêmes données que le clic
+  const placementObserver = new IntersectionObserver((entries) => {
+    entries.filter((entry) => entry.isIntersecting).forEach(({ target }) => {
+      placementObserver.unobserve(target);
+      send('Placement View', linkData(target as HTMLElement));
+    });
+  }, { threshold: 0.5 });
+  document.querySelectorAll('[data-track="amazon"]').forEach((link) => placementObserver.observe(link));
+
+  // Profondeur de scroll : sections produit atteintes, dans l'ordre de la page
+  const sections = [...document.querySelectorAll<HTMLElement>('[id^="product-"]')];
+  const sectionObserver = new IntersectionObserver((entries) => {
+    entries.filter((entry) => entry.isIntersecting).forEach(({ target }) => {
+      sectionObserver.unobserve(target);
+      send('Product Section View', {
+        asin: target.id.replace('product-', ''),
+        depth: sections.indexOf(target as HTMLElement) + 1,
+        of: sections.length,
+      });
+    });
+  }, { threshold: 0.25 });
+  sections.forEach((section) => sectionObserver.observe(section));
+}
@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { feedResponse, feedStaticPaths, type FeedId } from '../../../lib/feeds';
+
+// EN JSON feeds, served at homeofficesetup.net/feeds/<feed>.json via Vercel rewrite.
+export const getStaticPaths = feedStaticPaths;
+export const GET: APIRoute = ({ params }) => feedResponse(params.feed as FeedId, 'en', 'json');
@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { feedResponse, feedStaticPaths, type FeedId } from '../../../lib/feeds';
+
+// EN Atom feeds, served at homeofficesetup.net/feeds/<feed>.xml via Vercel rewrite.
+export const getStaticPaths = feedStaticPaths;
+export const GET: APIRoute = ({ params }) => feedResponse(params.feed as FeedId, 'en', 'xml');
@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { rankingFeedPaths, rankingFeedResponse } from '../../../../lib/rankings';
+
+// EN Atom feeds of ranking changes (homeofficesetup.net/feeds/rankings/<category>.xml via Vercel rewrite).
+export const getStaticPaths = () => rankingFeedPaths('en');
+export const GET: APIRoute = ({ params }) => rankingFeedResponse(params.category!, 'en');
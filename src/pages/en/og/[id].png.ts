@@ -0,0 +1,7 @@
+import type { APIRoute } from 'astro';
+import { ogImageResponse, ogStaticPaths } from '../../../lib/og-image';
+import type { RouteId } from '../../../lib/routes';
+
+// EN Open Graph images, served at homeofficesetup.net/og/<id>.png via Vercel rewrite.
+export const getStaticPaths = () => ogStaticPaths('en');
+export const GET: APIRoute = ({ params }) => ogImageResponse(params.id as RouteId, 'en');
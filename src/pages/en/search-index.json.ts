@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { searchIndexResponse } from '../../lib/search-index';
+
+// EN search index, served at homeofficesetup.net/search-index.json via Vercel rewrite.
+// Built from the catalog and the published pages in src/data/routes.json.
+export const GET: APIRoute = () => searchIndexResponse('en');
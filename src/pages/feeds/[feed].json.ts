@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { feedResponse, feedStaticPaths, type FeedId } from '../../lib/feeds';
+
+// FR JSON feeds (all, per category, price drops) at homeofficesetup.pro/feeds/<feed>.json.
+export const getStaticPaths = feedStaticPaths;
+export const GET: APIRoute = ({ params }) => feedResponse(params.feed as FeedId, 'fr', 'json');
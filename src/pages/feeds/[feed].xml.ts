@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { feedResponse, feedStaticPaths, type FeedId } from '../../lib/feeds';
+
+// FR Atom feeds (all, per category, price drops) at homeofficesetup.pro/feeds/<feed>.xml.
+export const getStaticPaths = feedStaticPaths;
+export const GET: APIRoute = ({ params }) => feedResponse(params.feed as FeedId, 'fr', 'xml');
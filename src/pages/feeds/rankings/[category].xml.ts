@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { rankingFeedPaths, rankingFeedResponse } from '../../../lib/rankings';
+
+// FR Atom feeds of ranking changes, one per product category (homeofficesetup.pro/feeds/rankings/<category>.xml).
+export const getStaticPaths = () => rankingFeedPaths('fr');
+export const GET: APIRoute = ({ params }) => rankingFeedResponse(params.category!, 'fr');
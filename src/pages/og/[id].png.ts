@@ -0,0 +1,7 @@
+import type { APIRoute } from 'astro';
+import { ogImageResponse, ogStaticPaths } from '../../lib/og-image';
+import type { RouteId } from '../../lib/routes';
+
+// FR Open Graph images, one per page of src/data/routes.json (homeofficesetup.pro/og/<id>.png).
+export const getStaticPaths = () => ogStaticPaths('fr');
+export const GET: APIRoute = ({ params }) => ogImageResponse(params.id as RouteId, 'fr');
@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { searchIndexResponse } from '../lib/search-index';
+
+// FR search index, fetched by /search on homeofficesetup.pro.
+// Built from the catalog and the published pages in src/data/routes.json.
+export const GET: APIRoute = () => searchIndexResponse('fr');
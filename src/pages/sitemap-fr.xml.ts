@@ -0,0 +1,6 @@
+import type { APIRoute } from 'astro';
+import { sitemapResponse } from '../lib/sitemap';
+
+// FR sitemap served at homeofficesetup.pro/sitemap.xml via Vercel rewrite.
+// Pages and slugs come from src/data/routes.json.
+export const GET: APIRoute = () => sitemapResponse('fr');